@@ -0,0 +1,233 @@
+/**
+ * Pushes GA4 ecommerce events to `window.dataLayer`:
+ * - `view_item` for the product of a product page or quick add modal, and again when its variant changes
+ * - `view_item_list` for the product lists of the `analytics-item-list` snippet, once per list id, and
+ *   `select_item` when one of their products is clicked
+ * - `add_to_cart` and `remove_from_cart` from the difference between the carts of two PUB_SUB_EVENTS.cartUpdate
+ * - `view_cart` on the cart page and when the cart drawer opens, `begin_checkout` when a checkout button is clicked
+ * - `search` on the search results page
+ * Cart errors are pushed as the custom `cart_error` event. Events wait until Shopify's customer privacy API allows
+ * analytics, and are only pushed once the visitor consents.
+ */
+class AnalyticsDataLayer {
+  static LIST_SELECTOR = 'script[data-analytics-list]';
+  static PRODUCT_SELECTOR = 'script[data-analytics-product]';
+  static MAX_HELD_EVENTS = 50;
+
+  static #config = window.analyticsDataLayer || {};
+  static #consent = false;
+  static #held = [];
+  static #cart = CartStore.cart;
+  static #products = new Map();
+  static #lists = new Map();
+  static #reportedListIds = new Set();
+
+  static start() {
+    AnalyticsDataLayer.#watchConsent();
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => AnalyticsDataLayer.#onCartUpdate(event));
+    subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => AnalyticsDataLayer.#onVariantChange(data.variant));
+    subscribe(PUB_SUB_EVENTS.cartError, ({ error }) => {
+      if (!error) return;
+      AnalyticsDataLayer.#push({ event: 'cart_error', error_type: error.type, error_message: error.message });
+    });
+
+    // Lists and products also arrive in HTML rendered later, by filters, predictive search or quick add modals
+    AnalyticsDataLayer.#scan(document.body);
+    new MutationObserver((mutations) =>
+      mutations.forEach(({ addedNodes }) =>
+        addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) AnalyticsDataLayer.#scan(node);
+        })
+      )
+    ).observe(document.body, { childList: true, subtree: true });
+
+    document.addEventListener('click', (event) => AnalyticsDataLayer.#onClick(event), true);
+    AnalyticsDataLayer.#watchCartDrawer();
+
+    const { pageType, searchTerm } = AnalyticsDataLayer.#config;
+    if (pageType === 'cart' && AnalyticsDataLayer.#cart) AnalyticsDataLayer.#pushCart('view_cart');
+    if (pageType === 'search' && searchTerm) AnalyticsDataLayer.#push({ event: 'search', search_term: searchTerm });
+  }
+
+  static #watchConsent() {
+    document.addEventListener('visitorConsentCollected', (event) =>
+      AnalyticsDataLayer.#setConsent(event.detail.analyticsAllowed)
+    );
+    window.Shopify?.loadFeatures?.([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+      if (!error) AnalyticsDataLayer.#setConsent(window.Shopify.customerPrivacy.analyticsProcessingAllowed());
+    });
+  }
+
+  static #setConsent(allowed) {
+    AnalyticsDataLayer.#consent = allowed;
+    if (allowed) AnalyticsDataLayer.#held.splice(0).forEach(AnalyticsDataLayer.#send);
+  }
+
+  static #push(payload) {
+    if (AnalyticsDataLayer.#consent) {
+      AnalyticsDataLayer.#send(payload);
+    } else if (AnalyticsDataLayer.#held.length < AnalyticsDataLayer.MAX_HELD_EVENTS) {
+      AnalyticsDataLayer.#held.push(payload);
+    }
+  }
+
+  static #send(payload) {
+    window.dataLayer = window.dataLayer || [];
+    // Clears the previous ecommerce object, the data layer merges pushes into one state
+    if (payload.ecommerce) window.dataLayer.push({ ecommerce: null });
+    window.dataLayer.push(payload);
+  }
+
+  static #pushEcommerce(event, items, extra = {}) {
+    const value = items.reduce((total, item) => total + item.price * (item.quantity || 1), 0);
+    AnalyticsDataLayer.#push({
+      event,
+      ecommerce: {
+        currency: AnalyticsDataLayer.#cart?.currency || AnalyticsDataLayer.#config.currency,
+        value: Math.round(value * 100) / 100,
+        ...extra,
+        items,
+      },
+    });
+  }
+
+  static #pushCart(event) {
+    const items = AnalyticsDataLayer.#cart.items.map((line) => AnalyticsDataLayer.#lineItem(line, line.quantity));
+    if (items.length) AnalyticsDataLayer.#pushEcommerce(event, items);
+  }
+
+  static #scan(root) {
+    const find = (selector) => [...(root.matches(selector) ? [root] : []), ...root.querySelectorAll(selector)];
+
+    find(AnalyticsDataLayer.PRODUCT_SELECTOR).forEach((script) => {
+      const product = JSON.parse(script.textContent);
+      // The product JSON only holds the selected variant, the variant picker's data holds all of them
+      const variantData = script.closest('product-info')?.querySelector('script[data-product-variants]');
+      if (variantData) product.variants = JSON.parse(variantData.textContent).variants.map(({ variant }) => variant);
+      AnalyticsDataLayer.#products.set(product.id, product);
+      AnalyticsDataLayer.#onVariantChange(product.variants.find(({ id }) => `${id}` === script.dataset.variantId));
+    });
+
+    find(AnalyticsDataLayer.LIST_SELECTOR).forEach((script) => {
+      const list = JSON.parse(script.textContent);
+      if (!list.items.length) return;
+
+      // The list belongs to the element around it, which holds the product links of `select_item`
+      AnalyticsDataLayer.#lists.set(script.parentElement, list);
+
+      // Filters and predictive search render their list again on every change, it is viewed once per page
+      if (AnalyticsDataLayer.#reportedListIds.has(list.id)) return;
+      AnalyticsDataLayer.#reportedListIds.add(list.id);
+      AnalyticsDataLayer.#pushEcommerce(
+        'view_item_list',
+        list.items.map((_, index) => AnalyticsDataLayer.#listItem(list, index)),
+        { item_list_id: list.id, item_list_name: list.name }
+      );
+    });
+  }
+
+  static #onVariantChange(variant) {
+    if (!variant) return;
+
+    const product = [...AnalyticsDataLayer.#products.values()].find(({ variants }) =>
+      variants.some(({ id }) => id === variant.id)
+    );
+    if (product) AnalyticsDataLayer.#pushEcommerce('view_item', [AnalyticsDataLayer.#productItem(product, variant)]);
+  }
+
+  static #onCartUpdate({ cartData, source }) {
+    const previous = AnalyticsDataLayer.#cart;
+    if (cartData) AnalyticsDataLayer.#cart = cartData;
+    // Changes made in another tab were reported there
+    if (!cartData || !previous || source === CartStore.REMOTE_SOURCE) return;
+
+    const before = new Map(previous.items.map((line) => [line.key, line]));
+    const after = new Map(cartData.items.map((line) => [line.key, line]));
+    const added = [];
+    const removed = [];
+
+    after.forEach((line, key) => {
+      const change = line.quantity - (before.get(key)?.quantity || 0);
+      if (change > 0) added.push(AnalyticsDataLayer.#lineItem(line, change));
+      if (change < 0) removed.push(AnalyticsDataLayer.#lineItem(line, -change));
+    });
+    before.forEach((line, key) => {
+      if (!after.has(key)) removed.push(AnalyticsDataLayer.#lineItem(line, line.quantity));
+    });
+
+    if (added.length) AnalyticsDataLayer.#pushEcommerce('add_to_cart', added);
+    if (removed.length) AnalyticsDataLayer.#pushEcommerce('remove_from_cart', removed);
+  }
+
+  static #onClick(event) {
+    if (event.target.closest('[name="checkout"]')) {
+      if (AnalyticsDataLayer.#cart) AnalyticsDataLayer.#pushCart('begin_checkout');
+      return;
+    }
+
+    const link = event.target.closest('a[href]');
+    if (!link) return;
+
+    const pathname = new URL(link.href, window.location.origin).pathname;
+    AnalyticsDataLayer.#lists.forEach((list, container) => {
+      if (!container.isConnected) {
+        AnalyticsDataLayer.#lists.delete(container);
+        return;
+      }
+      if (!container.contains(link)) return;
+
+      const index = list.items.findIndex((item) => new URL(item.url, window.location.origin).pathname === pathname);
+      if (index === -1) return;
+      AnalyticsDataLayer.#pushEcommerce('select_item', [AnalyticsDataLayer.#listItem(list, index)], {
+        item_list_id: list.id,
+        item_list_name: list.name,
+      });
+    });
+  }
+
+  static #watchCartDrawer() {
+    const drawer = document.querySelector('cart-drawer');
+    if (!drawer) return;
+
+    let open = drawer.classList.contains('active');
+    new MutationObserver(() => {
+      const opened = drawer.classList.contains('active') && !open;
+      open = drawer.classList.contains('active');
+      if (opened && AnalyticsDataLayer.#cart) AnalyticsDataLayer.#pushCart('view_cart');
+    }).observe(drawer, { attributes: true, attributeFilter: ['class'] });
+  }
+
+  // Prices are in cents of the presentment currency, GA4 expects currency units
+  static #productItem(product, variant) {
+    return {
+      item_id: `${product.id}`,
+      item_name: product.title,
+      item_brand: product.vendor,
+      item_category: product.type,
+      item_variant: variant.title,
+      item_variant_id: `${variant.id}`,
+      price: variant.price / 100,
+    };
+  }
+
+  static #lineItem(line, quantity) {
+    return {
+      item_id: `${line.product_id}`,
+      item_name: line.product_title,
+      item_brand: line.vendor,
+      item_category: line.product_type,
+      item_variant: line.variant_title,
+      item_variant_id: `${line.variant_id}`,
+      price: line.final_price / 100,
+      quantity,
+    };
+  }
+
+  static #listItem(list, index) {
+    const { url, price, ...item } = list.items[index];
+    return { ...item, price: price / 100, index, item_list_id: list.id, item_list_name: list.name };
+  }
+}
+
+AnalyticsDataLayer.start();
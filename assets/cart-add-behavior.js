@@ -0,0 +1,124 @@
+/**
+ * What happens once something is added to the cart. The "After adding to cart" theme setting picks one of
+ * CartAddBehavior.BEHAVIORS, and product sections and the quick add of product grids override it with a
+ * `data-cart-add-behavior` attribute around their add controls:
+ * - `cart` follows the "Cart type" theme setting: it opens the drawer or the notification, or goes to the cart page
+ * - `drawer` and `notification` open that one, or the other one on pages that don't render it
+ * - `toast` shows a short confirmation with a link to the cart
+ * - `badge` only updates the cart count and bumps it
+ * - `page` goes to the cart page
+ *
+ * Every add entry point resolves the behavior with `for`, lets `prepare` ask for the sections it renders, and
+ * hands the add response to `apply`. `for` never returns `cart`, only the element it opens.
+ */
+class CartAddBehavior {
+  static BEHAVIORS = ['cart', 'drawer', 'notification', 'toast', 'badge', 'page'];
+
+  // `requested` is a behavior asked for in code, which wins over the settings
+  static for(element, requested) {
+    // Quick add modals show the product section, the override of the grid the modal belongs to applies instead
+    const scope = element?.closest('quick-add-modal') || element;
+    const override = scope?.closest('[data-cart-add-behavior]')?.dataset.cartAddBehavior;
+    let behavior =
+      [requested, override, window.cartAddBehavior].find((value) => CartAddBehavior.BEHAVIORS.includes(value)) ||
+      'cart';
+    // Every page renders the notification, so `cart` follows the setting instead of what the page renders
+    if (behavior === 'cart') behavior = ['drawer', 'notification'].includes(window.cartType) ? window.cartType : 'page';
+    if (!['drawer', 'notification'].includes(behavior)) return behavior;
+
+    const preferred = behavior === 'notification' ? ['notification', 'drawer'] : ['drawer', 'notification'];
+    return preferred.find((name) => CartAddBehavior.cartFor(name)) || 'page';
+  }
+
+  // The element the `drawer` and `notification` behaviors open
+  static cartFor(behavior) {
+    if (behavior === 'drawer') return document.querySelector('cart-drawer');
+    if (behavior === 'notification') return document.querySelector('cart-notification');
+    return null;
+  }
+
+  /**
+   * Adds the sections `behavior` renders to `body`, the FormData or object sent to /cart/add, and lets the cart
+   * remember the focused element to return focus to when it closes.
+   */
+  static prepare(behavior, body) {
+    const sections = CartAddBehavior.sectionsFor(behavior);
+    if (!sections.length) return body;
+
+    if (body instanceof FormData) {
+      body.append('sections', sections);
+      body.append('sections_url', window.location.pathname);
+    } else {
+      body.sections = sections;
+      body.sections_url = window.location.pathname;
+    }
+    CartAddBehavior.cartFor(behavior)?.setActiveElement(document.activeElement);
+    return body;
+  }
+
+  static sectionsFor(behavior) {
+    const cart = CartAddBehavior.cartFor(behavior);
+    if (cart) return cart.getSectionsToRender().map((section) => section.id);
+    if (behavior === 'page') return [];
+    return ['cart-icon-bubble'];
+  }
+
+  // `response` is the /cart/add response of a request sent with the body from `prepare`
+  static apply(behavior, response) {
+    const items = response.items || [response];
+    const cart = CartAddBehavior.cartFor(behavior);
+
+    if (behavior === 'page') {
+      window.location = window.routes.cart_url;
+      return;
+    }
+
+    if (cart) {
+      cart.renderContents({ ...response, key: items[0].key, id: items[0].id });
+      if (cart.classList.contains('is-empty')) cart.classList.remove('is-empty');
+      return;
+    }
+
+    CartAddBehavior.renderCountBubble(response.sections?.['cart-icon-bubble']);
+    if (behavior === 'toast') document.querySelector('cart-add-toast')?.show(items);
+  }
+
+  static renderCountBubble(html) {
+    const bubble = document.getElementById('cart-icon-bubble');
+    const source = html && new DOMParser().parseFromString(html, 'text/html').querySelector('.shopify-section');
+    if (!bubble || !source) return;
+
+    // The count is a new element, so the bump animation plays on every add
+    bubble.innerHTML = source.innerHTML;
+    bubble.querySelector('.cart-count-bubble')?.classList.add('cart-count-bubble--bump');
+  }
+}
+
+if (!customElements.get('cart-add-toast')) {
+  customElements.define(
+    'cart-add-toast',
+    class CartAddToast extends HTMLElement {
+      static DURATION = 4000;
+
+      constructor() {
+        super();
+
+        this.message = this.querySelector('.cart-add-toast__message');
+      }
+
+      show(items) {
+        this.hidden = false;
+        this.message.textContent =
+          items.length === 1
+            ? window.cartStrings.addedToCart.replace('[title]', items[0].product_title)
+            : window.cartStrings.addedItemsToCart.replace(
+                '[quantity]',
+                items.reduce((total, item) => total + item.quantity, 0)
+              );
+
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(() => (this.hidden = true), CartAddToast.DURATION);
+      }
+    }
+  );
+}
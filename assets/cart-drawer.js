@@ -74,17 +74,25 @@ class CartDrawer extends HTMLElement {
     this.querySelector('.drawer__inner').classList.contains('is-empty') &&
       this.querySelector('.drawer__inner').classList.remove('is-empty');
     this.productId = parsedState.id;
+
+    // An add that only raised the quantity of a line is patched from the cart, new lines need the section HTML
+    const patched = {
+      'cart-drawer': Boolean(CartStore.cart) && CartDrawerRenderer.render(this, CartStore.cart),
+      'cart-icon-bubble': Boolean(CartStore.cart) && CartDrawerRenderer.renderCountBubble(CartStore.cart),
+    };
     this.getSectionsToRender().forEach((section) => {
       const sectionElement = section.selector
         ? document.querySelector(section.selector)
         : document.getElementById(section.id);
 
-      if (!sectionElement) return;
+      if (!sectionElement || patched[section.id]) return;
       sectionElement.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.id], section.selector);
     });
 
     setTimeout(() => {
-      this.querySelector('#CartDrawer-Overlay').addEventListener('click', this.close.bind(this));
+      if (!patched['cart-drawer']) {
+        this.querySelector('#CartDrawer-Overlay').addEventListener('click', this.close.bind(this));
+      }
       this.open();
     });
   }
@@ -116,7 +124,149 @@ class CartDrawer extends HTMLElement {
 
 customElements.define('cart-drawer', CartDrawer);
 
+/**
+ * Patches the cart drawer and the header count bubble from the cart JSON, without a section request.
+ * Both methods return false, leaving the DOM untouched, when the change needs Liquid: a line was added,
+ * removed or moved, a line has a unit price that changed, or the applied discounts differ. Callers then
+ * render the section HTML instead.
+ */
+class CartDrawerRenderer {
+  static render(drawer, cart) {
+    const rows = Array.from(drawer.querySelectorAll('cart-drawer-items .cart-item'));
+    if (!CartDrawerRenderer.canPatch(drawer, rows, cart)) return false;
+
+    rows.forEach((row, index) => CartDrawerRenderer.patchLine(row, cart.items[index], cart));
+    drawer.querySelectorAll('.drawer__footer .totals__total-value').forEach((total) => {
+      total.textContent = Shopify.formatMoney(cart.total_price, window.moneyFormats.moneyWithCurrency);
+    });
+
+    return true;
+  }
+
+  static renderCountBubble(cart) {
+    const bubble = document.querySelector('#cart-icon-bubble .cart-count-bubble');
+    const count = bubble?.querySelector('span[aria-hidden]');
+    // The empty cart icon and counts of 100 or more are rendered differently
+    if (!count || !cart.item_count || cart.item_count >= 100) return false;
+
+    count.textContent = cart.item_count;
+    bubble.querySelector('.visually-hidden').textContent = (
+      cart.item_count === 1 ? window.cartStrings.cartCountOne : window.cartStrings.cartCountOther
+    ).replace('[count]', cart.item_count);
+
+    return true;
+  }
+
+  static canPatch(drawer, rows, cart) {
+    if (!cart.item_count || drawer.classList.contains('is-empty') || rows.length !== cart.items.length) return false;
+
+    const linesMatch = rows.every((row, index) => {
+      const item = cart.items[index];
+      if (row.hidden || row.dataset.key !== item.key) return false;
+
+      const titles = item.line_level_discount_allocations.map(({ discount_application }) => discount_application.title);
+      if (!CartDrawerRenderer.textsMatch(CartDrawerRenderer.textsOf(row, '.discounts__discount'), titles)) return false;
+
+      const input = row.querySelector('.quantity__input');
+      return !item.unit_price_measurement || parseInt(input?.getAttribute('value')) === item.quantity;
+    });
+    if (!linesMatch) return false;
+
+    const codes = cart.discount_codes.map(({ code, applicable }) => `${code}:${applicable}`);
+    const renderedCodes = Array.from(drawer.querySelectorAll('.cart-discount__code'), (chip) => {
+      const applicable = !chip.classList.contains('cart-discount__code--inapplicable');
+      return `${chip.querySelector('[data-code]').dataset.code}:${applicable}`;
+    });
+    if (!CartDrawerRenderer.textsMatch(renderedCodes, codes)) return false;
+
+    const discounts = cart.cart_level_discount_applications.map(
+      ({ title, total_allocated_amount }) =>
+        `${title} (-${Shopify.formatMoney(total_allocated_amount, window.moneyFormats.money)})`
+    );
+    const renderedDiscounts = CartDrawerRenderer.textsOf(drawer, '.drawer__footer .discounts__discount');
+    return CartDrawerRenderer.textsMatch(renderedDiscounts, discounts);
+  }
+
+  static patchLine(row, item, cart) {
+    const input = row.querySelector('.quantity__input');
+    if (input) {
+      input.value = item.quantity;
+      input.setAttribute('value', item.quantity);
+      input.dataset.cartQuantity = cart.items
+        .filter(({ variant_id }) => variant_id === item.variant_id)
+        .reduce((total, { quantity }) => total + quantity, 0);
+    }
+
+    row
+      .querySelector('.cart-item__details > .cart-item__discounted-prices, .cart-item__details > .product-option')
+      ?.replaceWith(CartDrawerRenderer.renderPrices(item.original_price, item.final_price, 'product-option'));
+    row
+      .querySelector('.cart-item__price-wrapper')
+      ?.firstElementChild?.replaceWith(
+        CartDrawerRenderer.renderPrices(item.original_line_price, item.final_line_price, 'price price--end')
+      );
+  }
+
+  // Mirrors the regular and sale price markup of the cart-drawer snippet
+  static renderPrices(originalPrice, finalPrice, className) {
+    const format = (price) => Shopify.formatMoney(price, window.moneyFormats.money);
+    const element = (tagName, elementClass, text) => {
+      const node = document.createElement(tagName);
+      node.className = elementClass;
+      node.textContent = text;
+      return node;
+    };
+
+    if (originalPrice === finalPrice) {
+      return className === 'product-option'
+        ? element('div', className, format(finalPrice))
+        : element('span', className, format(finalPrice));
+    }
+
+    const wrapper = element('div', 'cart-item__discounted-prices', '');
+    wrapper.append(
+      element('span', 'visually-hidden', window.cartStrings.regularPrice),
+      element('s', `cart-item__old-price ${className}`, format(originalPrice)),
+      element('span', 'visually-hidden', window.cartStrings.salePrice),
+      className === 'product-option'
+        ? element('strong', `cart-item__final-price ${className}`, format(finalPrice))
+        : element('span', className, format(finalPrice))
+    );
+    return wrapper;
+  }
+
+  static textsOf(container, selector) {
+    return Array.from(container.querySelectorAll(selector), (element) => element.textContent);
+  }
+
+  static textsMatch(rendered, expected) {
+    const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+    return (
+      rendered.length === expected.length &&
+      rendered.every((text, index) => normalize(text) === normalize(expected[index]))
+    );
+  }
+}
+
 class CartDrawerItems extends CartItems {
+  renderSections(parsedState) {
+    if (!CartDrawerRenderer.render(this.closest('cart-drawer'), parsedState)) return super.renderSections(parsedState);
+    if (CartDrawerRenderer.renderCountBubble(parsedState)) return;
+
+    document.getElementById('cart-icon-bubble').innerHTML = this.getSectionInnerHTML(
+      parsedState.sections['cart-icon-bubble'],
+      '.shopify-section'
+    );
+  }
+
+  get undoToast() {
+    return document.getElementById('CartDrawer-UndoToast');
+  }
+
+  get liveRegion() {
+    return document.getElementById('CartDrawer-LiveRegionText');
+  }
+
   getSectionsToRender() {
     return [
       {
@@ -134,3 +284,87 @@ class CartDrawerItems extends CartItems {
 }
 
 customElements.define('cart-drawer-items', CartDrawerItems);
+
+class CartDrawerRecommendations extends HTMLElement {
+  // Recommendations per URL, refetched once they are older than CACHE_TTL so stock and prices stay current
+  static CACHE_TTL = 5 * 60 * 1000;
+  static cache = new Map();
+
+  // The drawer re-renders after adds, the line added last is remembered across its elements
+  static #lastAddedKey = null;
+
+  static {
+    subscribe(PUB_SUB_EVENTS.cartUpdate, ({ addedItems }) => {
+      if (addedItems?.length) CartDrawerRecommendations.#lastAddedKey = addedItems[0].key;
+    });
+  }
+
+  cartUpdateUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, () => {
+      if (this.productId !== this.renderedProductId) this.loadRecommendations();
+      else this.excludeCartVariants();
+    });
+    this.loadRecommendations();
+  }
+
+  disconnectedCallback() {
+    if (this.cartUpdateUnsubscriber) this.cartUpdateUnsubscriber();
+  }
+
+  // The most recently added product while its line is in the cart. An add that raised the quantity of a line keeps
+  // it in place, so the first line is only the fallback for pages where nothing was added yet.
+  get productId() {
+    const items = CartStore.cart?.items || [];
+    const lastAdded = items.find(({ key }) => key === CartDrawerRecommendations.#lastAddedKey);
+    return (lastAdded || items[0])?.product_id;
+  }
+
+  loadRecommendations() {
+    const productId = this.productId;
+    const url = productId
+      ? `${this.dataset.url}&product_id=${productId}&section_id=${this.dataset.sectionId}`
+      : `${routes.cart_url}?section_id=${this.dataset.sectionId}`;
+    this.renderedProductId = productId;
+
+    const cached = CartDrawerRecommendations.cache.get(url);
+    if (!cached || Date.now() - cached.time > CartDrawerRecommendations.CACHE_TTL) {
+      const request = fetch(url)
+        .then((response) => response.text())
+        .then((text) => {
+          const list = new DOMParser()
+            .parseFromString(text, 'text/html')
+            .querySelector('.cart-drawer-recommendations__list');
+          return list ? list.outerHTML : '';
+        })
+        .catch((e) => {
+          CartDrawerRecommendations.cache.delete(url);
+          console.error(e);
+          return '';
+        });
+      CartDrawerRecommendations.cache.set(url, { request, time: Date.now() });
+    }
+
+    CartDrawerRecommendations.cache.get(url).request.then((html) => {
+      if (productId !== this.renderedProductId) return;
+      this.querySelector('.cart-drawer-recommendations__content').innerHTML = html;
+      this.excludeCartVariants();
+    });
+  }
+
+  excludeCartVariants() {
+    const variantIdsInCart = new Set((CartStore.cart?.items || []).map((item) => `${item.variant_id}`));
+    const limit = parseInt(this.dataset.limit);
+    let shown = 0;
+
+    this.querySelectorAll('[data-variant-id]').forEach((item) => {
+      const show = !variantIdsInCart.has(item.dataset.variantId) && shown < limit;
+      item.hidden = !show;
+      if (show) shown++;
+    });
+    this.hidden = shown === 0;
+  }
+}
+
+customElements.define('cart-drawer-recommendations', CartDrawerRecommendations);
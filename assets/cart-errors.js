@@ -0,0 +1,135 @@
+/**
+ * A failed cart request, normalised from Shopify's error responses. `type` is one of CartError.TYPES and
+ * `message` is the localised text to show the shopper. Gift card recipient errors keep their per-field
+ * messages in `fields`, keyed by field name.
+ */
+class CartError extends Error {
+  static TYPES = {
+    SOLD_OUT: 'sold-out',
+    QUANTITY_LIMITED: 'quantity-limited',
+    GIFT_CARD: 'gift-card',
+    RATE_LIMITED: 'rate-limited',
+    NETWORK: 'network',
+    UNKNOWN: 'unknown',
+  };
+
+  constructor(type, message, { status = null, description = null, fields = null } = {}) {
+    super(message);
+    this.name = 'CartError';
+    this.type = type;
+    this.status = status;
+    this.description = description;
+    this.fields = fields;
+  }
+
+  static isErrorResponse(response) {
+    return Boolean(response && (response.status || response.errors));
+  }
+
+  /**
+   * `request` describes the add that failed, when there was one: the variant, the quantity asked for and the cart
+   * it was added to. Without it a stock error is a quantity limit.
+   */
+  static fromResponse(response, request = {}) {
+    const { TYPES } = CartError;
+    const strings = window.cartStrings;
+    const { status, errors, description } = response;
+    const detail = [description, errors].find((value) => typeof value === 'string') || null;
+    const options = { status, description: detail };
+
+    if (status === 429) return new CartError(TYPES.RATE_LIMITED, strings.errorRateLimited, options);
+    if (errors && typeof errors === 'object') {
+      return new CartError(TYPES.GIFT_CARD, strings.errorGiftCard, { ...options, fields: errors });
+    }
+
+    // Shopify writes these in the storefront's language and names the product, so they are shown as they are and
+    // never read. A stock error for a single unit of a variant that isn't in the cart yet means none are left.
+    if (status === 422 && detail && CartError.#addsFirstUnit(request)) {
+      return new CartError(TYPES.SOLD_OUT, detail, options);
+    }
+    if (status === 422 || typeof errors === 'string') {
+      return new CartError(TYPES.QUANTITY_LIMITED, detail || strings.errorQuantityLimited, options);
+    }
+    return new CartError(TYPES.UNKNOWN, detail || strings.error, options);
+  }
+
+  static #addsFirstUnit({ variantId, quantity = 1, cart }) {
+    if (!variantId || Number(quantity) > 1) return false;
+    return !cart?.items.some((item) => item.variant_id === Number(variantId));
+  }
+
+  static fromException(error) {
+    if (error instanceof CartError) return error;
+    return new CartError(CartError.TYPES.NETWORK, window.cartStrings.errorNetwork, { description: error?.message });
+  }
+}
+
+/**
+ * Shows the cart errors published on PUB_SUB_EVENTS.cartError. An error goes next to the `errorTarget` element
+ * of the request context when there is one, and to the toast otherwise. Requests whose caller shows its own
+ * messages pass `errorTarget: false`.
+ */
+class CartErrorRenderer {
+  static showInline(target, message) {
+    let element = target.nextElementSibling;
+    if (!element?.classList.contains('cart-error-message')) {
+      element = document.createElement('p');
+      element.className = 'cart-error-message form__message';
+      element.id = `CartError-${Math.random().toString(36).slice(2)}`;
+      element.setAttribute('role', 'alert');
+      target.after(element);
+    }
+
+    element.textContent = message;
+    target.setAttribute('aria-describedby', element.id);
+  }
+
+  static clearInline() {
+    document.querySelectorAll('.cart-error-message').forEach((element) => {
+      document.querySelector(`[aria-describedby="${element.id}"]`)?.removeAttribute('aria-describedby');
+      element.remove();
+    });
+  }
+}
+
+subscribe(PUB_SUB_EVENTS.cartError, ({ error, errorTarget }) => {
+  if (!error || errorTarget === false) return;
+
+  if (errorTarget?.isConnected) {
+    CartErrorRenderer.showInline(errorTarget, error.message);
+  } else {
+    document.querySelector('cart-error-toast')?.show(error.message);
+  }
+});
+
+// A successful change means whatever was wrong was dealt with
+subscribe(PUB_SUB_EVENTS.cartUpdate, () => CartErrorRenderer.clearInline());
+
+if (!customElements.get('cart-error-toast')) {
+  customElements.define(
+    'cart-error-toast',
+    class CartErrorToast extends HTMLElement {
+      static DURATION = 6000;
+
+      constructor() {
+        super();
+
+        this.message = this.querySelector('.cart-error-toast__message');
+        this.querySelector('button').addEventListener('click', this.hide.bind(this));
+      }
+
+      show(message) {
+        this.message.textContent = message;
+        this.hidden = false;
+
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = setTimeout(this.hide.bind(this), CartErrorToast.DURATION);
+      }
+
+      hide() {
+        clearTimeout(this.hideTimeout);
+        this.hidden = true;
+      }
+    }
+  );
+}
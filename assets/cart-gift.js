@@ -0,0 +1,50 @@
+/**
+ * Adds the gift-with-purchase variant from the cart theme settings once the cart qualifies and takes it out again
+ * when it no longer does. The cart qualifies when its subtotal, without the gift, reaches the threshold, or when it
+ * holds enough items of the qualifying product type. The gift line carries the `_gift` property; the cart templates
+ * lock its quantity and hide its remove button, and any other quantity is set back to one. The script loads
+ * without a configured gift too, other scripts tell gift lines apart with `isGift` and leftover gifts are removed.
+ */
+class CartGift {
+  static PROPERTY = '_gift';
+
+  static #config = window.cartGift || {};
+
+  static isGift(item) {
+    return Boolean(item.properties?.[CartGift.PROPERTY]);
+  }
+
+  // The threshold is configured in the shop currency, line prices are in the presentment currency
+  static qualifies(items) {
+    const { threshold, productType, quantity } = CartGift.#config;
+    if (!items.length) return false;
+
+    const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+    const subtotal = items.reduce((total, item) => total + item.final_line_price, 0);
+    if (threshold && subtotal >= Math.ceil(threshold * rate)) return true;
+
+    const count = items
+      .filter((item) => !productType || item.product_type === productType)
+      .reduce((total, item) => total + item.quantity, 0);
+    return Boolean(quantity) && count >= quantity;
+  }
+
+  static reconcile(cart) {
+    const { variantId, available } = CartGift.#config;
+    const gifts = cart.items.filter(CartGift.isGift);
+    const qualifies = CartGift.qualifies(cart.items.filter((item) => !CartGift.isGift(item)));
+    const gift = qualifies ? gifts.find((item) => item.variant_id === variantId) : null;
+
+    if (qualifies && !gift && available) {
+      return { items: [{ id: variantId, quantity: 1, properties: { [CartGift.PROPERTY]: 'true' } }] };
+    }
+
+    // Gifts of a variant that is no longer configured go too
+    const updates = Object.fromEntries(
+      gifts.filter((item) => item !== gift || item.quantity !== 1).map((item) => [item.key, item === gift ? 1 : 0])
+    );
+    return Object.keys(updates).length ? { updates } : null;
+  }
+}
+
+CartStore.addReconciler(CartGift.reconcile);
@@ -0,0 +1,150 @@
+if (!customElements.get('cart-order-rules')) {
+  customElements.define(
+    'cart-order-rules',
+    class CartOrderRules extends HTMLElement {
+      /**
+       * Each rule receives the cart and the rules configuration and returns the messages of what it finds broken.
+       * Apps can add their own with `customElements.get('cart-order-rules').rules.push(rule)`.
+       */
+      static rules = [
+        function minimumOrderValue(cart, { minimum }) {
+          if (!minimum || !cart.item_count) return [];
+
+          // The minimum is configured in the shop currency, the cart total is in the presentment currency
+          const amount = Math.ceil(minimum * (parseFloat(window.Shopify?.currency?.rate) || 1));
+          if (cart.total_price >= amount) return [];
+
+          return [
+            window.cartStrings.orderMinimum
+              .replace('[amount]', Shopify.formatMoney(amount, window.moneyFormats.money))
+              .replace('[remaining]', Shopify.formatMoney(amount - cart.total_price, window.moneyFormats.money)),
+          ];
+        },
+
+        // Limits apply to the product, all of its variants count towards them
+        function productLimits(cart, { max, products }) {
+          const quantities = CartOrderRules.itemsOf(cart).reduce((totals, item) => {
+            const total = totals.get(item.product_id) || { title: item.product_title, quantity: 0 };
+            total.quantity += item.quantity;
+            return totals.set(item.product_id, total);
+          }, new Map());
+
+          return [...quantities].flatMap(([productId, { title, quantity }]) => {
+            const limit = products[productId]?.max ?? max;
+            if (!limit || quantity <= limit) return [];
+            return [window.cartStrings.orderProductLimit.replace('[quantity]', limit).replace('[title]', title)];
+          });
+        },
+
+        function exclusiveGroups(cart, { products }) {
+          const groups = CartOrderRules.itemsOf(cart).reduce((groups, item) => {
+            const group = products[item.product_id]?.group || '';
+            return groups.set(group, [...(groups.get(group) || []), item.product_title]);
+          }, new Map());
+          if (groups.size < 2) return [];
+
+          return [...groups]
+            .filter(([group]) => group)
+            .map(([group, titles]) =>
+              window.cartStrings.orderGroupExclusive
+                .replace('[group]', group)
+                .replace('[titles]', [...new Set(titles)].join(', '))
+            );
+        },
+      ];
+
+      cartUpdateUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.config = CartOrderRules.parseConfig(this);
+        this.messages = this.querySelector('.cart-order-rules__messages');
+        this.requestedProductIds = new Set();
+      }
+
+      // The theme adds the free gift itself, it never breaks a rule
+      static itemsOf(cart) {
+        return cart.items.filter((item) => !CartGift.isGift(item));
+      }
+
+      static parseConfig(element) {
+        return JSON.parse(element.querySelector('script[type="application/json"]').textContent);
+      }
+
+      connectedCallback() {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.cartData) this.update(event.cartData);
+        });
+
+        if (CartStore.cart) this.update(CartStore.cart);
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+
+        // The re-rendered cart may no longer have rules to enforce, a new element blocks checkout again if it does
+        const checkoutButton = document.getElementById(this.dataset.checkout);
+        if (!checkoutButton) return;
+        checkoutButton.disabled = !CartStore.cart?.item_count;
+        checkoutButton.removeAttribute('aria-describedby');
+      }
+
+      /**
+       * The rules are rendered for the products that were in the cart, products added since then get theirs from
+       * a new render of the section. Each product is only asked for once, whether it has rules or not.
+       */
+      loadRulesOfNewProducts(cart) {
+        const productIds = cart.items
+          .map(({ product_id }) => `${product_id}`)
+          .filter((id) => !(id in this.config.products) && !this.requestedProductIds.has(id));
+        if (!productIds.length || !this.dataset.section) return;
+
+        productIds.forEach((id) => this.requestedProductIds.add(id));
+        CartRequest.fetch(`${routes.cart_url}?section_id=${this.dataset.section}`)
+          .then((response) => response.text())
+          .then((responseText) => {
+            const html = new DOMParser().parseFromString(responseText, 'text/html');
+            const rendered = html.getElementById(this.id);
+            if (!rendered || !this.isConnected) return;
+
+            const { products } = CartOrderRules.parseConfig(rendered);
+            this.config = { ...this.config, products: { ...this.config.products, ...products } };
+            if (CartStore.cart) this.update(CartStore.cart);
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+
+      evaluate(cart) {
+        return CartOrderRules.rules.flatMap((rule) => rule(cart, this.config));
+      }
+
+      update(cart) {
+        this.loadRulesOfNewProducts(cart);
+
+        const messages = this.evaluate(cart);
+        const checkoutButton = document.getElementById(this.dataset.checkout);
+
+        this.messages.replaceChildren(
+          ...messages.map((message) => {
+            const item = document.createElement('li');
+            item.className = 'cart-order-rules__message';
+            item.textContent = message;
+            return item;
+          })
+        );
+        this.hidden = messages.length === 0;
+
+        if (!checkoutButton) return;
+        checkoutButton.disabled = messages.length > 0 || cart.item_count === 0;
+        if (messages.length) {
+          checkoutButton.setAttribute('aria-describedby', this.messages.id);
+        } else {
+          checkoutButton.removeAttribute('aria-describedby');
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,130 @@
+/**
+ * Sends cart requests and retries the ones that failed for a passing reason. A 429 is always retried, after its
+ * `Retry-After` delay, since the request was not processed. Network errors and 502, 503 and 504 responses are only
+ * retried for idempotent requests, with exponential backoff, as the first attempt may have reached the cart.
+ * While the browser is offline, requests wait for the connection to come back before they are sent. A request that
+ * fails because the browser went offline never reached the cart, so it is replayed once the connection is back,
+ * idempotent or not.
+ *
+ * PUB_SUB_EVENTS.cartConnection is published with `status: 'reconnecting'` when a request starts waiting, then with
+ * `'restored'` once a response comes back or `'failed'` when the retries run out.
+ */
+class CartRequest {
+  static MAX_RETRIES = 4;
+  static BASE_DELAY = 500;
+  static MAX_DELAY = 10000;
+  static RETRYABLE_STATUSES = [502, 503, 504];
+
+  static #reconnecting = false;
+
+  /**
+   * Same arguments as `fetch`. GET requests are idempotent by default, pass `{ idempotent: true }` for
+   * requests that set state, such as /cart/change with a line key and an absolute quantity.
+   */
+  static fetch(url, options = {}, { idempotent = (options.method || 'GET').toUpperCase() === 'GET' } = {}) {
+    return CartRequest.#attempt(url, options, idempotent, 0);
+  }
+
+  static #attempt(url, options, idempotent, retry, replayed = false) {
+    return CartRequest.#whenOnline()
+      .then(() => fetch(url, options))
+      .then(
+        (response) => {
+          const retryable =
+            response.status === 429 || (idempotent && CartRequest.RETRYABLE_STATUSES.includes(response.status));
+          if (retryable && retry < CartRequest.MAX_RETRIES) {
+            return CartRequest.#retry(url, options, idempotent, retry, CartRequest.#retryAfter(response));
+          }
+
+          CartRequest.#setStatus(retryable ? 'failed' : 'restored');
+          return response;
+        },
+        (error) => {
+          if (error.name !== 'AbortError' && navigator.onLine === false && !replayed) {
+            return CartRequest.#attempt(url, options, idempotent, retry, true);
+          }
+
+          // The request may have reached the cart before the connection dropped, only idempotent ones can be resent
+          if (error.name === 'AbortError' || !idempotent || retry >= CartRequest.MAX_RETRIES) {
+            CartRequest.#setStatus('failed');
+            throw error;
+          }
+          return CartRequest.#retry(url, options, idempotent, retry);
+        }
+      );
+  }
+
+  static #retry(url, options, idempotent, retry, delay = CartRequest.#backoff(retry)) {
+    CartRequest.#setStatus('reconnecting');
+    return new Promise((resolve) => setTimeout(resolve, delay)).then(() =>
+      CartRequest.#attempt(url, options, idempotent, retry + 1)
+    );
+  }
+
+  // Full jitter keeps tabs that failed together from retrying together
+  static #backoff(retry) {
+    return Math.random() * Math.min(CartRequest.MAX_DELAY, CartRequest.BASE_DELAY * 2 ** retry);
+  }
+
+  // `Retry-After` is either a number of seconds or an HTTP date
+  static #retryAfter(response) {
+    const header = response.headers.get('Retry-After');
+    if (!header) return undefined;
+
+    const seconds = Number(header);
+    const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+    return Number.isNaN(delay) ? undefined : Math.max(delay, 0);
+  }
+
+  static #whenOnline() {
+    if (navigator.onLine !== false) return Promise.resolve();
+
+    CartRequest.#setStatus('reconnecting');
+    return new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+  }
+
+  static #setStatus(status) {
+    const reconnecting = status === 'reconnecting';
+    if (reconnecting === CartRequest.#reconnecting) return;
+
+    CartRequest.#reconnecting = reconnecting;
+    publish(PUB_SUB_EVENTS.cartConnection, { status });
+  }
+}
+
+if (!customElements.get('cart-connection-status')) {
+  customElements.define(
+    'cart-connection-status',
+    class CartConnectionStatus extends HTMLElement {
+      static RESTORED_DURATION = 3000;
+
+      cartConnectionUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.cartConnectionUnsubscriber = subscribe(PUB_SUB_EVENTS.cartConnection, ({ status }) =>
+          this.update(status)
+        );
+      }
+
+      disconnectedCallback() {
+        if (this.cartConnectionUnsubscriber) this.cartConnectionUnsubscriber();
+        clearTimeout(this.hideTimeout);
+      }
+
+      update(status) {
+        clearTimeout(this.hideTimeout);
+
+        const messages = {
+          reconnecting: window.cartStrings.reconnecting,
+          restored: window.cartStrings.reconnected,
+        };
+        this.textContent = messages[status] || '';
+        this.classList.toggle('cart-connection-status--visible', Boolean(messages[status]));
+
+        if (status === 'restored') {
+          this.hideTimeout = setTimeout(() => this.update(), CartConnectionStatus.RESTORED_DURATION);
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,251 @@
+/**
+ * Encodes cart lines into a cart link and back. A shared line is `[handle, variantId, quantity, properties?]`;
+ * the handle lets the recipient look the product up through its public JSON. Properties starting with `_` are
+ * private to the cart they were set in, such as bundle and gift markers, and are never shared.
+ */
+class CartShare {
+  static PARAM = 'shared_cart';
+
+  static urlFor(items) {
+    const url = new URL(routes.cart_url, window.location.origin);
+    url.searchParams.set(CartShare.PARAM, CartShare.encode(items));
+    return url.toString();
+  }
+
+  static encode(items) {
+    const lines = items.map(({ handle, variant_id, quantity, properties }) => {
+      const shared = CartShare.#publicProperties(properties);
+      return Object.keys(shared).length ? [handle, variant_id, quantity, shared] : [handle, variant_id, quantity];
+    });
+    const bytes = new TextEncoder().encode(JSON.stringify(lines));
+
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  static decode(value) {
+    try {
+      const bytes = Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+      const lines = JSON.parse(new TextDecoder().decode(bytes));
+
+      return lines
+        .filter(Array.isArray)
+        .map(([handle, variantId, quantity, properties]) => ({
+          handle: `${handle}`,
+          variantId: parseInt(variantId),
+          quantity: Math.max(parseInt(quantity) || 1, 1),
+          properties: CartShare.#publicProperties(properties),
+        }))
+        .filter(({ handle, variantId }) => handle && variantId);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  static #publicProperties(properties) {
+    if (!properties || typeof properties !== 'object') return {};
+    return Object.fromEntries(Object.entries(properties).filter(([name]) => !name.startsWith('_')));
+  }
+}
+
+if (!customElements.get('cart-share')) {
+  customElements.define(
+    'cart-share',
+    class CartShareLink extends HTMLElement {
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, this.update.bind(this));
+        this.update();
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) this.cartUpdateUnsubscriber();
+      }
+
+      update() {
+        const items = CartStore.cart?.items || [];
+        this.hidden = items.length === 0;
+        if (!items.length) return;
+
+        // share.js loads after this script, from the share button in the drawer
+        const url = CartShare.urlFor(items);
+        customElements.whenDefined('share-button').then(() => this.querySelector('share-button')?.updateUrl(url));
+      }
+    }
+  );
+}
+
+if (!customElements.get('cart-share-import')) {
+  customElements.define(
+    'cart-share-import',
+    class CartShareImport extends ModalDialog {
+      constructor() {
+        super();
+
+        this.list = this.querySelector('.cart-share-import__list');
+        this.message = this.querySelector('.cart-share-import__message');
+        this.template = this.querySelector('template');
+        this.querySelector('[name="merge"]').addEventListener('click', () => this.import('merge'));
+        this.querySelector('[name="replace"]').addEventListener('click', () => this.import('replace'));
+      }
+
+      connectedCallback() {
+        super.connectedCallback();
+
+        const shared = new URLSearchParams(window.location.search).get(CartShare.PARAM);
+        if (!shared || this.lines) return;
+
+        this.lines = CartShare.decode(shared);
+        this.querySelector('[name="replace"]').hidden = !CartStore.cart?.item_count;
+        this.show();
+        if (!this.lines.length) {
+          this.showMessage(window.cartStrings.sharedCartInvalid);
+          this.toggleActions(false);
+          return;
+        }
+        this.loadPreview();
+      }
+
+      hide() {
+        super.hide();
+
+        // The link has been seen, a reload should not offer the import again
+        const url = new URL(window.location.href);
+        url.searchParams.delete(CartShare.PARAM);
+        window.history.replaceState({}, '', url.toString());
+      }
+
+      loadPreview() {
+        const handles = [...new Set(this.lines.map(({ handle }) => handle))];
+        const root = window.Shopify?.routes?.root || '/';
+
+        return Promise.all(
+          handles.map((handle) =>
+            fetch(`${root}products/${handle}.js`)
+              .then((response) => (response.ok ? response.json() : null))
+              .catch(() => null)
+          )
+        ).then((products) => {
+          this.lines = this.lines.map((line) => {
+            const product = products[handles.indexOf(line.handle)];
+            const variant = product?.variants.find(({ id }) => id === line.variantId);
+            return { ...line, product, variant, available: Boolean(variant?.available) };
+          });
+
+          this.list.replaceChildren(...this.lines.map((line) => this.renderLine(line)));
+          this.toggleActions(this.lines.some(({ available }) => available));
+
+          const unavailable = this.lines.filter(({ available }) => !available).length;
+          if (unavailable) {
+            this.showMessage(window.cartStrings.sharedCartUnavailable.replace('[quantity]', unavailable));
+          }
+        });
+      }
+
+      renderLine({ product, variant, quantity, available }) {
+        const element = this.template.content.firstElementChild.cloneNode(true);
+        const image = element.querySelector('img');
+        const src = variant?.featured_image?.src || product?.featured_image;
+
+        if (src) {
+          image.src = src;
+          image.alt = product.title;
+        } else {
+          image.remove();
+        }
+        element.querySelector('.cart-share-import__title').textContent = product
+          ? product.title
+          : window.variantStrings.unavailable;
+        element.querySelector('.cart-share-import__variant').textContent =
+          variant && product.variants.length > 1 ? variant.title : '';
+        element.querySelector('.cart-share-import__quantity').textContent = `× ${quantity}`;
+        element.querySelector('.cart-share-import__price').textContent = variant
+          ? Shopify.formatMoney(variant.price * quantity, window.moneyFormats.money)
+          : '';
+
+        const status = element.querySelector('.cart-share-import__status');
+        if (!variant) {
+          status.textContent = window.variantStrings.unavailable;
+        } else if (!available) {
+          status.textContent = window.variantStrings.soldOut;
+        }
+        element.classList.toggle('cart-share-import__item--unavailable', !available);
+
+        return element;
+      }
+
+      import(mode) {
+        const items = this.lines
+          .filter(({ available }) => available)
+          .map(({ variantId, quantity, properties }) => ({ id: variantId, quantity, properties }));
+        if (!items.length) return;
+
+        const context = { source: 'cart-share-import', errorTarget: false };
+        this.toggleActions(false);
+
+        // Replaced lines are only taken out once the shared ones are in, a failed import leaves the cart as it was
+        const replacedLines =
+          mode === 'replace' ? (CartStore.cart?.items || []).map(({ key, quantity }) => ({ key, quantity })) : [];
+
+        return CartStore.addEach({ items }, context)
+          .then(({ failures }) => {
+            if (failures.length === items.length || !replacedLines.length) return failures;
+            return this.removeReplacedLines(replacedLines, context).then((error) =>
+              error ? [...failures, { error }] : failures
+            );
+          })
+          .then((failures) => {
+            if (!failures.length) {
+              this.hide();
+              return;
+            }
+
+            this.showMessage(
+              failures
+                .map(({ item, error }) => {
+                  if (!item) return error.message;
+
+                  const line = this.lines.find(({ variantId }) => variantId === item.id);
+                  return window.cartStrings.sharedCartItemFailed
+                    .replace('[title]', line.product.title)
+                    .replace('[reason]', error.message);
+                })
+                .join(' ')
+            );
+          })
+          .catch((e) => {
+            this.showMessage(CartError.fromException(e).message);
+            this.toggleActions(true);
+          });
+      }
+
+      /**
+       * Shared lines that match a replaced line were merged into it, so each replaced line keeps only what the
+       * import added to it. Resolves with a CartError when the lines could not be taken out.
+       */
+      removeReplacedLines(replacedLines, context) {
+        const updates = Object.fromEntries(
+          replacedLines.map(({ key, quantity }) => {
+            const current = CartStore.cart?.items.find((item) => item.key === key);
+            return [key, current ? Math.max(current.quantity - quantity, 0) : 0];
+          })
+        );
+
+        return CartStore.update({ updates }, context).then((response) =>
+          CartError.isErrorResponse(response) ? CartError.fromResponse(response) : null
+        );
+      }
+
+      showMessage(message) {
+        this.message.textContent = message;
+      }
+
+      toggleActions(enabled) {
+        this.querySelectorAll('.cart-share-import__actions .button').forEach((button) => (button.disabled = !enabled));
+      }
+    }
+  );
+}
@@ -0,0 +1,329 @@
+/**
+ * Owns the client-side copy of the cart and every request that mutates it.
+ * Requests are serialised so two mutations never race, and each successful one publishes
+ * PUB_SUB_EVENTS.cartUpdate with the full cart as `cartData`, and for adds the lines of the add response as
+ * `addedItems`.
+ * Published changes are also sent to the store's other tabs, which publish them with `source: CartStore.REMOTE_SOURCE`.
+ */
+class CartStore {
+  static REMOTE_SOURCE = 'remote-tab';
+  static #STORAGE_KEY = 'cart-store:update';
+
+  static #cart = CartStore.#readInitialState();
+  static #queue = Promise.resolve();
+  static #channel = CartStore.#openChannel();
+  static #reconcilers = [];
+
+  static get cart() {
+    return CartStore.#cart;
+  }
+
+  static get() {
+    return CartStore.#enqueue(() =>
+      CartStore.#fetchCart().then((cart) => CartStore.#setCart(cart))
+    );
+  }
+
+  /**
+   * Adds items through /cart/add. `body` is either the FormData of a product form or an object
+   * such as `{ id, quantity }` or `{ items: [...] }`. Resolves with the raw add response so callers
+   * can render the `sections` they asked for.
+   */
+  static add(body, context = {}) {
+    return CartStore.#mutate('add', () => CartStore.#request(routes.cart_add_url, body), context, {
+      body,
+      resolveCart: () => CartStore.#fetchCart(),
+    });
+  }
+
+  /**
+   * Adds the `items` of `body` like `add`. /cart/add rejects the whole batch when one line fails, so the lines are
+   * then added one by one, to add what can be added. Resolves with `response`, the last add response that went
+   * through or null, and `failures`, the `{ item, index, error }` of each line that failed, `error` a CartError.
+   */
+  static addEach(body, context = {}) {
+    return CartStore.add(body, context).then((batchResponse) => {
+      if (!CartError.isErrorResponse(batchResponse)) return { response: batchResponse, failures: [] };
+
+      return body.items.reduce(
+        (result, item, index) =>
+          result.then(({ response, failures }) => {
+            const itemBody = { ...body, items: [item] };
+            const request = CartStore.addRequestOf(itemBody);
+            return CartStore.add(itemBody, context).then((itemResponse) => {
+              if (!CartError.isErrorResponse(itemResponse)) return { response: itemResponse, failures };
+
+              const error = CartError.fromResponse(itemResponse, request);
+              return { response, failures: [...failures, { item, index, error }] };
+            });
+          }),
+        Promise.resolve({ response: null, failures: [] })
+      );
+    });
+  }
+
+  /**
+   * Describes an add body of a single item for CartError.fromResponse, which tells a sold out variant from a
+   * quantity limit by it.
+   */
+  static addRequestOf(body) {
+    const item = body instanceof FormData ? Object.fromEntries(body) : body?.items?.length === 1 ? body.items[0] : body;
+    return { variantId: item?.id, quantity: item?.quantity || 1, cart: CartStore.cart };
+  }
+
+  static change(body, context = {}) {
+    return CartStore.#mutate('change', () => CartStore.#request(routes.cart_change_url, body), context, { body });
+  }
+
+  static update(body, context = {}) {
+    return CartStore.#mutate('update', () => CartStore.#request(routes.cart_update_url, body), context, { body });
+  }
+
+  static clear(context = {}) {
+    return CartStore.#mutate('clear', () => CartStore.#request(`${routes.cart_url}/clear`, {}), context);
+  }
+
+  /**
+   * Swaps the line at `position` (zero-based) for `item`, an add item such as `{ id, quantity, properties }`,
+   * keeping its place in the cart. All requests run as one queued mutation with a single cartUpdate. Every step
+   * is checked, and a failed one undoes the steps before it: the new line is removed again and the lines taken
+   * out to restore the order are re-added with the old line, so the shopper never loses an item.
+   */
+  static replaceLine(position, item, context = {}) {
+    return CartStore.#mutate('replace-line', () => CartStore.#replaceLine(position, item), context);
+  }
+
+  /**
+   * Registers a function that checks the cart after each mutation and returns the follow-up it needs, as
+   * `{ items }` to add or `{ updates }` to set quantities, or null. The follow-up is sent within the same queued
+   * mutation and re-renders the sections the mutation asked for, so subscribers see one cartUpdate with the
+   * final cart. Only the first follow-up is sent and it is not checked again, reconcilers can't loop.
+   */
+  static addReconciler(reconciler) {
+    CartStore.#reconcilers = [...CartStore.#reconcilers, reconciler];
+  }
+
+  static toAddItem({ variant_id, quantity, properties, selling_plan_allocation }) {
+    return {
+      id: variant_id,
+      quantity,
+      properties: properties || {},
+      ...(selling_plan_allocation && { selling_plan: selling_plan_allocation.selling_plan.id }),
+    };
+  }
+
+  static #replaceLine(position, item) {
+    const items = CartStore.#cart.items;
+    const line = items[position];
+    const linesAbove = items.slice(0, position);
+
+    return CartStore.#request(routes.cart_add_url, { items: [item] }).then((response) => {
+      if (CartError.isErrorResponse(response)) return response;
+
+      // The new variant merged into a line that was already in the cart, only the old line has to go
+      const addedKey = response.items[0].key;
+      const mergedLine = items.find(({ key }) => key === addedKey);
+      const undoAdd = (failedResponse) =>
+        CartStore.#request(routes.cart_change_url, { id: addedKey, quantity: mergedLine?.quantity ?? 0 }).then(
+          () => failedResponse
+        );
+      const thenUndoAddOnError = (stepResponse) =>
+        CartError.isErrorResponse(stepResponse) ? undoAdd(stepResponse) : stepResponse;
+
+      if (mergedLine) {
+        return CartStore.#request(routes.cart_change_url, { id: line.key, quantity: 0 }).then(thenUndoAddOnError);
+      }
+
+      // /cart/add puts the new line first, so unless the old line was first too, the lines above it
+      // are taken out and re-added before the new one to restore the order
+      const updates = Object.fromEntries([line, ...linesAbove].map(({ key }) => [key, 0]));
+      if (!linesAbove.length) return CartStore.#request(routes.cart_update_url, { updates }).then(thenUndoAddOnError);
+
+      // Puts back every line that was taken out, in its order, when the re-add doesn't go through
+      const restore = (failure) =>
+        CartStore.#request(routes.cart_add_url, { items: [...linesAbove, line].map(CartStore.toAddItem) }).then(
+          () => failure,
+          () => failure
+        );
+
+      updates[addedKey] = 0;
+      return CartStore.#request(routes.cart_update_url, { updates }).then((updateResponse) => {
+        if (CartError.isErrorResponse(updateResponse)) return undoAdd(updateResponse);
+
+        return CartStore.#request(routes.cart_add_url, { items: [...linesAbove.map(CartStore.toAddItem), item] }).then(
+          (addResponse) => (CartError.isErrorResponse(addResponse) ? restore(addResponse) : CartStore.#fetchCart()),
+          (error) => restore().then(() => Promise.reject(error))
+        );
+      });
+    });
+  }
+
+  /**
+   * Failed requests publish PUB_SUB_EVENTS.cartError with a CartError as `error`. An error response resolves as
+   * it came back, a request that never got one rejects with the network CartError. `errorTarget` in the context
+   * decides where the error is shown, see CartErrorRenderer.
+   */
+  static #mutate(action, request, { publish: shouldPublish = true, ...context }, { body, resolveCart } = {}) {
+    return CartStore.#enqueue(() =>
+      request()
+        .then((response) => {
+          if (CartError.isErrorResponse(response)) return { response };
+
+          return Promise.resolve(resolveCart ? resolveCart(response) : response)
+            .then((cart) =>
+              // Unpublished mutations are steps of a larger change, the last step reconciles the cart
+              shouldPublish ? CartStore.#reconcile(response, cart, body, !resolveCart) : { response, cart }
+            )
+            .then((result) => ({ response: result.response, cart: CartStore.#setCart(result.cart) }));
+        })
+        .catch((e) => ({ failure: CartError.fromException(e) }))
+    ).then(({ response, cart, failure }) => {
+      if (failure) {
+        publish(PUB_SUB_EVENTS.cartError, { ...context, error: failure });
+        throw failure;
+      }
+
+      if (!cart) {
+        publish(PUB_SUB_EVENTS.cartError, {
+          ...context,
+          error: CartError.fromResponse(response, action === 'add' ? CartStore.addRequestOf(body) : {}),
+          errors: response.errors || response.description,
+          message: response.message,
+        });
+        return response;
+      }
+
+      if (shouldPublish) {
+        CartStore.#broadcast(cart);
+        const startMarker = CartPerformance.createStartingMarker(`${action}:wait-for-subscribers`);
+        const added = action === 'add' && { addedItems: response.items || [response] };
+        publish(PUB_SUB_EVENTS.cartUpdate, { ...context, ...added, cartData: cart }).then(() => {
+          CartPerformance.measureFromMarker(`${action}:wait-for-subscribers`, startMarker);
+        });
+      }
+
+      return response;
+    });
+  }
+
+  static #reconcile(response, cart, body, responseIsCart) {
+    const followUp = CartStore.#reconcilers.reduce((found, reconciler) => found || reconciler(cart), null);
+    if (!followUp) return { response, cart };
+
+    const sections = CartStore.#sectionsOf(body);
+    const request = followUp.items
+      ? CartStore.#request(routes.cart_add_url, { items: followUp.items, ...sections }).then((addResponse) =>
+          CartError.isErrorResponse(addResponse)
+            ? null
+            : CartStore.#fetchCart().then((updatedCart) => ({ ...updatedCart, sections: addResponse.sections }))
+        )
+      : CartStore.#request(routes.cart_update_url, { updates: followUp.updates, ...sections }).then((updateResponse) =>
+          CartError.isErrorResponse(updateResponse) ? null : updateResponse
+        );
+
+    return request
+      .then((updatedCart) => {
+        // The mutation itself went through, a failed follow-up leaves its result as it was
+        if (!updatedCart) return { response, cart };
+
+        const { sections: renderedSections, ...cartData } = updatedCart;
+        const updatedResponse = responseIsCart ? { ...cartData } : { ...response };
+        if (renderedSections) updatedResponse.sections = renderedSections;
+        return { response: updatedResponse, cart: cartData };
+      })
+      .catch(() => ({ response, cart }));
+  }
+
+  // Follow-up requests render the same sections as the request they follow
+  static #sectionsOf(body) {
+    const get = (name) => (body instanceof FormData ? body.get(name) : body?.[name]);
+    const sections = get('sections');
+    return sections ? { sections, sections_url: get('sections_url') || window.location.pathname } : {};
+  }
+
+  static #request(url, body) {
+    const isFormData = body instanceof FormData;
+    const config = fetchConfig(isFormData ? 'javascript' : 'json');
+    config.headers['X-Requested-With'] = 'XMLHttpRequest';
+
+    if (isFormData) {
+      delete config.headers['Content-Type'];
+      config.body = body;
+    } else {
+      config.body = JSON.stringify(body);
+    }
+
+    return CartRequest.fetch(url, config, { idempotent: CartStore.#isIdempotent(url, body) }).then((response) =>
+      response.json().catch(() => ({
+        status: response.status,
+        message: response.statusText,
+        description: window.cartStrings.error,
+      }))
+    );
+  }
+
+  // Adds can't be sent twice. Changes and updates set absolute quantities or values, but those naming lines by
+  // position could hit another line if the first attempt went through and the lines moved
+  static #isIdempotent(url, body) {
+    if (url === routes.cart_add_url) return false;
+
+    const get = (name) => (body instanceof FormData ? body.get(name) : body?.[name]);
+    return get('line') == null && !Array.isArray(get('updates'));
+  }
+
+  // BroadcastChannel where available, otherwise storage events, which other tabs of the same origin receive
+  static #openChannel() {
+    if ('BroadcastChannel' in window) {
+      const channel = new BroadcastChannel('cart-store');
+      channel.addEventListener('message', (event) => CartStore.#receive(event.data));
+      return channel;
+    }
+
+    window.addEventListener('storage', (event) => {
+      if (event.key === CartStore.#STORAGE_KEY && event.newValue) CartStore.#receive(JSON.parse(event.newValue));
+    });
+    return null;
+  }
+
+  static #broadcast(cart) {
+    const message = { cart, sentAt: Date.now() };
+
+    if (CartStore.#channel) {
+      CartStore.#channel.postMessage(message);
+      return;
+    }
+
+    try {
+      localStorage.setItem(CartStore.#STORAGE_KEY, JSON.stringify(message));
+    } catch (e) {
+      // Storage may be full or disabled, the other tabs then catch up on their next reload
+    }
+  }
+
+  // Remote changes are published but never broadcast again, so tabs can't echo each other
+  static #receive({ cart }) {
+    if (!cart) return;
+    publish(PUB_SUB_EVENTS.cartUpdate, { source: CartStore.REMOTE_SOURCE, cartData: CartStore.#setCart(cart) });
+  }
+
+  static #fetchCart() {
+    return CartRequest.fetch(`${routes.cart_url}.js`).then((response) => response.json());
+  }
+
+  static #enqueue(task) {
+    const result = CartStore.#queue.then(task);
+    CartStore.#queue = result.catch(() => {});
+    return result;
+  }
+
+  static #setCart(cart) {
+    const { sections, ...cartData } = cart;
+    CartStore.#cart = cartData;
+    return cartData;
+  }
+
+  static #readInitialState() {
+    const initialState = document.getElementById('cart-state');
+    return initialState ? JSON.parse(initialState.textContent) : null;
+  }
+}
@@ -0,0 +1,72 @@
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define(
+    'cart-threshold-progress',
+    class CartThresholdProgress extends HTMLElement {
+      cartUpdateUnsubscriber = undefined;
+      reachedCount = null;
+
+      constructor() {
+        super();
+
+        this.thresholds = JSON.parse(this.querySelector('script[type="application/json"]').textContent).sort(
+          (a, b) => a.amount - b.amount
+        );
+        this.message = this.querySelector('.cart-threshold-progress__message');
+        this.progressBar = this.querySelector('.progress-bar');
+        this.liveRegion = this.querySelector('[role="status"]');
+      }
+
+      connectedCallback() {
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.cartData) this.update(CartThresholdProgress.totalOf(event.cartData));
+        });
+
+        if (CartStore.cart) this.update(CartThresholdProgress.totalOf(CartStore.cart));
+      }
+
+      // The free gift is a reward, it doesn't count towards the thresholds
+      static totalOf(cart) {
+        return cart.items
+          .filter(CartGift.isGift)
+          .reduce((total, item) => total - item.final_line_price, cart.total_price);
+      }
+
+      disconnectedCallback() {
+        this.cartUpdateUnsubscriber?.();
+      }
+
+      // Thresholds are configured in the shop currency, the cart total is in the presentment currency
+      get convertedThresholds() {
+        const rate = parseFloat(window.Shopify?.currency?.rate) || 1;
+        return this.thresholds.map(({ amount, reward }) => ({ amount: Math.ceil(amount * rate), reward }));
+      }
+
+      update(totalPrice) {
+        const thresholds = this.convertedThresholds;
+        const reached = thresholds.filter(({ amount }) => totalPrice >= amount);
+        const next = thresholds[reached.length];
+
+        if (next) {
+          this.message.textContent = window.cartStrings.thresholdRemaining
+            .replace('[amount]', Shopify.formatMoney(next.amount - totalPrice))
+            .replace('[reward]', next.reward);
+        } else {
+          this.message.textContent = window.cartStrings.thresholdReached.replace('[reward]', reached.at(-1).reward);
+        }
+
+        const progress = next ? Math.max(totalPrice, 0) / next.amount : 1;
+        this.progressBar.querySelector('.progress-bar-value').style.setProperty('--progress', progress);
+        this.progressBar.setAttribute('aria-valuenow', Math.round(progress * 100));
+
+        if (this.reachedCount !== null && reached.length > this.reachedCount && this.isVisible) {
+          this.liveRegion.textContent = window.cartStrings.thresholdReached.replace('[reward]', reached.at(-1).reward);
+        }
+        this.reachedCount = reached.length;
+      }
+
+      get isVisible() {
+        return this.checkVisibility ? this.checkVisibility({ visibilityProperty: true }) : true;
+      }
+    }
+  );
+}
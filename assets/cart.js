@@ -5,13 +5,88 @@ class CartRemoveButton extends HTMLElement {
     this.addEventListener('click', (event) => {
       event.preventDefault();
       const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
-      cartItems.updateQuantity(this.dataset.index, 0, event);
+      cartItems.removeLine(this.dataset.index, event);
     });
   }
 }
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartUndoToast extends HTMLElement {
+  static DURATION = 6000;
+
+  constructor() {
+    super();
+
+    this.message = this.querySelector('.cart-undo-toast__message');
+    this.querySelector('button').addEventListener('click', this.undo.bind(this));
+  }
+
+  show(item, position) {
+    this.removed = { item, position };
+    this.message.textContent = window.cartStrings.itemRemoved.replace('[title]', item.product_title);
+    this.hidden = false;
+
+    clearTimeout(this.hideTimeout);
+    this.hideTimeout = setTimeout(this.hide.bind(this), CartUndoToast.DURATION);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimeout);
+    this.hidden = true;
+    this.removed = null;
+  }
+
+  undo() {
+    if (!this.removed) return;
+
+    const { item, position } = this.removed;
+    const context = {
+      source: 'cart-undo',
+      announcement: window.cartStrings.itemRestored.replace('[title]', item.product_title),
+    };
+    this.hide();
+
+    // /cart/add puts new lines at the top of the cart, so the lines that were above the removed one
+    // are taken out and re-added together with it, in their original order
+    const linesAbove = CartStore.cart.items.slice(0, position);
+    const removeLinesAbove = linesAbove.length
+      ? CartStore.update(
+          { updates: Object.fromEntries(linesAbove.map(({ key }) => [key, 0])) },
+          { source: 'cart-undo', publish: false }
+        )
+      : Promise.resolve();
+
+    // Never lose the lines that were taken out to restore the position
+    const restoreLinesAbove = () =>
+      linesAbove.length
+        ? CartStore.add({ items: linesAbove.map(CartStore.toAddItem) }, { source: 'cart-undo' })
+        : Promise.resolve();
+
+    return removeLinesAbove
+      .then((removeResponse) => {
+        // Nothing was taken out, re-adding the lines above would double them
+        if (removeResponse && CartError.isErrorResponse(removeResponse)) return;
+
+        return CartStore.add({ items: [...linesAbove, item].map(CartStore.toAddItem) }, context).then(
+          (response) => {
+            if (CartError.isErrorResponse(response)) return restoreLinesAbove();
+          },
+          (error) =>
+            restoreLinesAbove().then(
+              () => Promise.reject(error),
+              () => Promise.reject(error)
+            )
+        );
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+customElements.define('cart-undo-toast', CartUndoToast);
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
@@ -26,13 +101,19 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  // Changes sent and not answered yet, shown on top of the last cart the server confirmed
+  optimisticChanges = [];
+  // The server rendered price of each changed line, put back when the changes to it fail
+  renderedPrices = new Map();
+  pendingUpdates = 0;
 
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
-        return;
-      }
-      return this.onCartUpdate();
+      // Changes this element sent render its sections themselves, the drawer and the cart page still update each other
+      if (event.renderedBy === this) return;
+      return this.onCartUpdate(event).then(() => {
+        if (event.announcement) this.announce(event.announcement);
+      });
     });
   }
 
@@ -87,9 +168,13 @@ class CartItems extends HTMLElement {
     this.validateQuantity(event);
   }
 
-  onCartUpdate() {
+  onCartUpdate(event) {
     if (this.tagName === 'CART-DRAWER-ITEMS') {
-      return fetch(`${routes.cart_url}?section_id=cart-drawer`)
+      if (event?.cartData && CartDrawerRenderer.render(this.closest('cart-drawer'), event.cartData)) {
+        return Promise.resolve();
+      }
+
+      return CartRequest.fetch(`${routes.cart_url}?section_id=cart-drawer`)
         .then((response) => response.text())
         .then((responseText) => {
           const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -106,12 +191,23 @@ class CartItems extends HTMLElement {
           console.error(e);
         });
     } else {
-      return fetch(`${routes.cart_url}?section_id=main-cart-items`)
-        .then((response) => response.text())
-        .then((responseText) => {
-          const html = new DOMParser().parseFromString(responseText, 'text/html');
+      return CartRequest.fetch(`${routes.cart_url}?sections=main-cart-items,main-cart-footer`)
+        .then((response) => response.json())
+        .then((sections) => {
+          const html = new DOMParser().parseFromString(sections['main-cart-items'], 'text/html');
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
+
+          const isEmpty = sourceQty.classList.contains('is-empty');
+          this.classList.toggle('is-empty', isEmpty);
+          document.getElementById('main-cart-footer')?.classList.toggle('is-empty', isEmpty);
+
+          // Totals change with the lines, e.g. after a variant swap or an undo
+          const footerContents = document.querySelector('#main-cart-footer .js-contents');
+          const sourceFooterContents = new DOMParser()
+            .parseFromString(sections['main-cart-footer'], 'text/html')
+            .querySelector('.js-contents');
+          if (footerContents && sourceFooterContents) footerContents.innerHTML = sourceFooterContents.innerHTML;
         })
         .catch((e) => {
           console.error(e);
@@ -144,37 +240,70 @@ class CartItems extends HTMLElement {
     ];
   }
 
+  renderSections(parsedState) {
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
+  get undoToast() {
+    return document.getElementById('Cart-UndoToast');
+  }
+
+  get liveRegion() {
+    return document.getElementById('cart-live-region-text');
+  }
+
+  removeLine(line, event) {
+    const removedItem = CartStore.cart?.items[line - 1];
+
+    return this.updateQuantity(line, 0, event).then(() => {
+      if (!removedItem || CartStore.cart.items.some(({ key }) => key === removedItem.key)) return;
+      this.undoToast?.show(removedItem, line - 1);
+    });
+  }
+
   updateQuantity(line, quantity, event, name, variantId) {
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
     const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker(`${eventTarget}:user-action`);
+    // The key still names the same line if the request has to be sent again, the position may not
+    const key = CartStore.cart?.items[line - 1]?.key;
+
+    const optimisticChange = this.applyOptimisticUpdate(line, quantity);
+    this.pendingUpdates++;
 
-    this.enableLoading(line);
+    // Line indexes shift once a line is removed, so further changes must wait for the re-render
+    if (quantity === 0) {
+      this.enableLoading(line);
+    } else {
+      this.lineItemStatusElement.setAttribute('aria-hidden', false);
+    }
 
-    const body = JSON.stringify({
-      line,
+    const body = {
+      ...(key ? { id: key } : { line }),
       quantity,
       sections: this.getSectionsToRender().map((section) => section.section),
       sections_url: window.location.pathname,
-    });
-
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
+    };
 
+    return CartStore.change(body, { source: 'cart-items', renderedBy: this, variantId: variantId, errorTarget: false })
+      .then((parsedState) => {
         CartPerformance.measure(`${eventTarget}:paint-updated-sections`, () => {
           const quantityElement =
             document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
           const items = document.querySelectorAll('.cart-item');
 
-          if (parsedState.errors) {
-            quantityElement.value = quantityElement.getAttribute('value');
-            this.updateLiveRegions(line, parsedState.errors);
+          if (parsedState.errors || parsedState.status) {
+            this.rollbackOptimisticUpdate(optimisticChange);
+            this.updateLiveRegions(line, CartError.fromResponse(parsedState).message);
             return;
           }
 
+          // A newer change is already queued, its response will reconcile the sections
+          if (this.pendingUpdates > 1) return;
+
           this.classList.toggle('is-empty', parsedState.item_count === 0);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
           const cartFooter = document.getElementById('main-cart-footer');
@@ -182,15 +311,7 @@ class CartItems extends HTMLElement {
           if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
           if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
 
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) ||
-              document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          // Read before rendering, a patched drawer keeps this input and sets it to the updated quantity
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -200,6 +321,7 @@ class CartItems extends HTMLElement {
               message = window.cartStrings.quantityError.replace('[quantity]', updatedValue);
             }
           }
+          this.renderSections(parsedState);
           this.updateLiveRegions(line, message);
 
           const lineItem =
@@ -214,20 +336,95 @@ class CartItems extends HTMLElement {
             trapFocus(cartDrawerWrapper, document.querySelector('.cart-item__name'));
           }
         });
-
-        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
-      .catch(() => {
+      .catch((e) => {
+        this.rollbackOptimisticUpdate(optimisticChange);
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
-        errors.textContent = window.cartStrings.error;
+        errors.textContent = CartError.fromException(e).message;
       })
       .finally(() => {
+        this.pendingUpdates--;
+        this.optimisticChanges = this.optimisticChanges.filter((change) => change !== optimisticChange);
+        if (this.pendingUpdates === 0) this.renderedPrices.clear();
         this.disableLoading(line);
         CartPerformance.measureFromMarker(`${eventTarget}:user-action`, cartPerformanceUpdateMarker);
       });
   }
 
+  applyOptimisticUpdate(line, quantity) {
+    const key = CartStore.cart?.items[line - 1]?.key;
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    if (!key || !lineItem) return null;
+
+    if (!this.renderedPrices.has(line)) {
+      const priceWrappers = Array.from(lineItem.querySelectorAll('.cart-item__price-wrapper'));
+      this.renderedPrices.set(line, priceWrappers.map((wrapper) => [wrapper, wrapper.innerHTML]));
+    }
+
+    const change = { key, line, quantity };
+    this.optimisticChanges.push(change);
+    this.renderOptimisticCart(line, key);
+    return change;
+  }
+
+  /**
+   * Earlier changes may have gone through since `change` was sent, and later ones may still be waiting, so the
+   * cart goes back to the last one the server confirmed with the other pending changes on top.
+   */
+  rollbackOptimisticUpdate(change) {
+    if (!change) return;
+
+    this.optimisticChanges = this.optimisticChanges.filter((pending) => pending !== change);
+    this.renderOptimisticCart(change.line, change.key);
+  }
+
+  renderOptimisticCart(line, key) {
+    if (!CartStore.cart) return;
+
+    const cart = structuredClone(CartStore.cart);
+    this.optimisticChanges.forEach(({ key: changedKey, quantity }) => {
+      const changedItem = cart.items.find((cartItem) => cartItem.key === changedKey);
+      if (!changedItem) return;
+
+      const finalLinePrice = changedItem.final_price * quantity;
+      cart.total_price += finalLinePrice - changedItem.final_line_price;
+      cart.item_count += quantity - changedItem.quantity;
+      changedItem.quantity = quantity;
+      changedItem.final_line_price = finalLinePrice;
+    });
+
+    const item = cart.items.find((cartItem) => cartItem.key === key);
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    const quantityElement =
+      document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
+    const countBubble = document.querySelector('#cart-icon-bubble .cart-count-bubble span[aria-hidden]');
+
+    if (item && lineItem) {
+      if (quantityElement) quantityElement.value = item.quantity;
+      lineItem.hidden = item.quantity === 0;
+
+      // A line without pending changes shows the price the server rendered, with its discounts and compare at price
+      const isChanged = this.optimisticChanges.some((change) => change.key === key);
+      (this.renderedPrices.get(line) || []).forEach(([wrapper, html]) => {
+        if (!isChanged) {
+          wrapper.innerHTML = html;
+          return;
+        }
+
+        const price = document.createElement('span');
+        price.className = 'price price--end';
+        price.textContent = Shopify.formatMoney(item.final_line_price, window.moneyFormats.money);
+        wrapper.firstElementChild?.replaceWith(price);
+      });
+    }
+
+    document.querySelectorAll('.totals__total-value').forEach((total) => {
+      total.textContent = Shopify.formatMoney(cart.total_price, window.moneyFormats.moneyWithCurrency);
+    });
+    if (countBubble) countBubble.textContent = cart.item_count;
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -244,6 +441,18 @@ class CartItems extends HTMLElement {
     }, 1000);
   }
 
+  announce(message) {
+    const cartStatus = this.liveRegion;
+    if (!cartStatus) return;
+
+    cartStatus.textContent = message;
+    cartStatus.setAttribute('aria-hidden', false);
+
+    setTimeout(() => {
+      cartStatus.setAttribute('aria-hidden', true);
+    }, 1000);
+  }
+
   getSectionInnerHTML(html, selector) {
     return new DOMParser().parseFromString(html, 'text/html').querySelector(selector).innerHTML;
   }
@@ -275,6 +484,418 @@ class CartItems extends HTMLElement {
 
 customElements.define('cart-items', CartItems);
 
+class CartDiscount extends HTMLElement {
+  constructor() {
+    super();
+
+    this.input = this.querySelector('input[name="discount"]');
+    this.message = this.querySelector('.cart-discount__message');
+    this.submitButton = this.querySelector('[type="submit"]');
+
+    this.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const code = this.input.value.trim();
+      if (code) this.applyCode(code);
+    });
+    this.querySelectorAll('.cart-discount__remove').forEach((button) =>
+      button.addEventListener('click', () => this.removeCode(button.dataset.code))
+    );
+  }
+
+  get codes() {
+    return Array.from(this.querySelectorAll('.cart-discount__remove'), (button) => button.dataset.code);
+  }
+
+  applyCode(code) {
+    const codes = this.codes.filter((applied) => applied.toLowerCase() !== code.toLowerCase());
+    return this.updateCodes([...codes, code], (cart) => CartDiscount.describe(code, cart));
+  }
+
+  removeCode(code) {
+    return this.updateCodes(
+      this.codes.filter((applied) => applied !== code),
+      () => ({ text: window.cartStrings.discountRemoved.replace('[code]', code) })
+    );
+  }
+
+  // /cart/update replaces every code on the cart, so the full list is always sent
+  updateCodes(codes, describeResult) {
+    const cartItems = this.closest('cart-drawer')?.querySelector('cart-drawer-items') || document.querySelector('cart-items');
+    this.submitButton.setAttribute('aria-disabled', true);
+    this.submitButton.classList.add('loading');
+    this.querySelector('.loading__spinner').classList.remove('hidden');
+
+    const body = { discount: codes.join(',') };
+    if (cartItems) {
+      body.sections = cartItems.getSectionsToRender().map((section) => section.section);
+      body.sections_url = window.location.pathname;
+    }
+
+    return CartStore.update(body, { source: 'cart-discount', renderedBy: cartItems, errorTarget: false })
+      .then((parsedState) => {
+        if (parsedState.errors || parsedState.status) {
+          this.showMessage({ text: CartError.fromResponse(parsedState).message, error: true });
+          return;
+        }
+
+        const result = describeResult(parsedState);
+        if (cartItems) cartItems.renderSections(parsedState);
+
+        // Rendering the sections replaces this element, the message goes to the new one
+        const discount = document.getElementById(this.id) || this;
+        discount.showMessage(result);
+        if (result.error) discount.input.value = codes[codes.length - 1];
+      })
+      .catch((e) => {
+        this.showMessage({ text: CartError.fromException(e).message, error: true });
+      })
+      .finally(() => {
+        this.submitButton.removeAttribute('aria-disabled');
+        this.submitButton.classList.remove('loading');
+        this.querySelector('.loading__spinner').classList.add('hidden');
+      });
+  }
+
+  showMessage({ text, error = false }) {
+    this.message.textContent = text;
+    this.message.classList.toggle('cart-discount__message--error', error);
+    this.input.setAttribute('aria-invalid', error);
+  }
+
+  /**
+   * Explains what a code did to the returned cart. An inapplicable code is either unknown or its
+   * conditions aren't met; an applicable one is checked against the cart and line-level allocations.
+   */
+  static describe(code, cart) {
+    const isCode = (title) => title?.toLowerCase() === code.toLowerCase();
+    const discountCode = cart.discount_codes.find((discount) => isCode(discount.code));
+
+    if (!discountCode || !discountCode.applicable) {
+      return { text: window.cartStrings.discountInvalid.replace('[code]', code), error: true };
+    }
+
+    const cartLevelSavings = cart.cart_level_discount_applications
+      .filter((application) => isCode(application.title))
+      .reduce((total, application) => total + application.total_allocated_amount, 0);
+    const lineLevelSavings = cart.items
+      .flatMap((item) => item.line_level_discount_allocations)
+      .filter((allocation) => isCode(allocation.discount_application.title))
+      .reduce((total, allocation) => total + allocation.amount, 0);
+    const savings = cartLevelSavings + lineLevelSavings;
+
+    if (savings === 0) return { text: window.cartStrings.discountNoSavings.replace('[code]', code) };
+
+    return {
+      text: window.cartStrings.discountApplied
+        .replace('[code]', code)
+        .replace('[amount]', Shopify.formatMoney(savings, window.moneyFormats.money)),
+    };
+  }
+}
+
+customElements.define('cart-discount', CartDiscount);
+
+class CartVariantEditor extends HTMLElement {
+  constructor() {
+    super();
+
+    this.details = this.querySelector('details');
+    this.optionsContainer = this.querySelector('.cart-variant-editor__options');
+    this.submitButton = this.querySelector('.cart-variant-editor__submit');
+    this.errorMessage = this.querySelector('.cart-variant-editor__error');
+
+    this.details.addEventListener('toggle', () => {
+      if (this.details.open && !this.product) this.loadProduct();
+    });
+    this.optionsContainer.addEventListener('change', this.updateOptionAvailability.bind(this));
+    this.submitButton.addEventListener('click', this.onSubmit.bind(this));
+  }
+
+  get currentVariantId() {
+    return parseInt(this.dataset.variantId);
+  }
+
+  get selectedOptions() {
+    return Array.from(this.optionsContainer.querySelectorAll('select'), (select) => select.value);
+  }
+
+  get selectedVariant() {
+    const selectedOptions = this.selectedOptions;
+    return this.product?.variants.find((variant) =>
+      variant.options.every((value, index) => value === selectedOptions[index])
+    );
+  }
+
+  loadProduct() {
+    return CartRequest.fetch(`${this.dataset.productUrl}.js`)
+      .then((response) => response.json())
+      .then((product) => {
+        this.product = product;
+        this.renderOptions();
+      })
+      .catch((e) => {
+        console.error(e);
+        this.errorMessage.textContent = window.cartStrings.error;
+      });
+  }
+
+  renderOptions() {
+    const currentVariant = this.product.variants.find(({ id }) => id === this.currentVariantId);
+    const idPrefix = `${this.closest('cart-drawer-items') ? 'CartDrawer' : 'Cart'}-VariantEditor-${this.dataset.index}`;
+
+    this.optionsContainer.replaceChildren(
+      ...this.product.options.map((option, index) => {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        const selectWrapper = document.createElement('div');
+        const select = document.createElement('select');
+
+        wrapper.className = 'cart-variant-editor__option';
+        label.className = 'form__label';
+        label.htmlFor = select.id = `${idPrefix}-${index}`;
+        label.textContent = option.name;
+        selectWrapper.className = 'select';
+        select.className = 'select__select';
+        select.append(
+          ...option.values.map((value) => new Option(value, value, false, currentVariant?.options[index] === value))
+        );
+
+        selectWrapper.append(select);
+        wrapper.append(label, selectWrapper);
+        return wrapper;
+      })
+    );
+
+    this.updateOptionAvailability();
+  }
+
+  // Follows the product page: a value is available when an available variant has it together
+  // with the values selected for the options before it
+  updateOptionAvailability() {
+    const selectedOptions = this.selectedOptions;
+
+    this.optionsContainer.querySelectorAll('select').forEach((select, index) => {
+      Array.from(select.options).forEach((option) => {
+        const available = this.product.variants.some(
+          (variant) =>
+            variant.available &&
+            variant.options[index] === option.value &&
+            selectedOptions.slice(0, index).every((value, previousIndex) => variant.options[previousIndex] === value)
+        );
+        option.disabled = !available;
+        option.textContent = available
+          ? option.value
+          : window.variantStrings.unavailable_with_option.replace('[value]', option.value);
+      });
+    });
+
+    const variant = this.selectedVariant;
+    this.submitButton.disabled = !variant || !variant.available || variant.id === this.currentVariantId;
+    this.errorMessage.textContent = variant && !variant.available ? window.variantStrings.soldOut : '';
+  }
+
+  onSubmit() {
+    const line = this.dataset.index;
+    const item = CartStore.cart?.items[line - 1];
+    const variant = this.selectedVariant;
+    if (!item || !variant || item.variant_id !== this.currentVariantId) return;
+
+    this.submitButton.setAttribute('aria-disabled', true);
+    this.submitButton.classList.add('loading');
+    this.querySelector('.loading__spinner').classList.remove('hidden');
+
+    return CartStore.replaceLine(
+      line - 1,
+      { ...CartStore.toAddItem(item), id: variant.id },
+      { source: 'cart-variant-editor', variantId: variant.id, errorTarget: false }
+    )
+      .then((response) => {
+        if (response.status || response.errors) {
+          this.errorMessage.textContent = CartError.fromResponse(response).message;
+        }
+      })
+      .catch((e) => {
+        this.errorMessage.textContent = CartError.fromException(e).message;
+      })
+      .finally(() => {
+        this.submitButton.removeAttribute('aria-disabled');
+        this.submitButton.classList.remove('loading');
+        this.querySelector('.loading__spinner').classList.add('hidden');
+      });
+  }
+}
+
+customElements.define('cart-variant-editor', CartVariantEditor);
+
+class CartAttributes extends HTMLElement {
+  static WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  // Edits that aren't saved yet, restored when the drawer or cart page re-renders mid-typing
+  static pending = {};
+
+  constructor() {
+    super();
+
+    this.onSubmit = this.onSubmit.bind(this);
+    this.save = debounce(this.save.bind(this), ON_CHANGE_DEBOUNCE_TIMER);
+    // Checkboxes and date pickers fire `input` too, listening to `change` as well would save twice
+    this.addEventListener('input', this.onInput.bind(this));
+  }
+
+  connectedCallback() {
+    this.restore();
+    this.querySelectorAll('input[type="date"]').forEach((input) => {
+      input.min = CartAttributes.formatDate(this.earliestDeliveryDate(input.closest('[data-cart-attribute]')));
+    });
+
+    this.form = document.getElementById(this.dataset.form);
+    if (this.form) this.form.addEventListener('submit', this.onSubmit);
+  }
+
+  disconnectedCallback() {
+    if (this.form) this.form.removeEventListener('submit', this.onSubmit);
+  }
+
+  get fields() {
+    return Array.from(this.querySelectorAll('[data-cart-attribute]'));
+  }
+
+  inputFor(field) {
+    return field.querySelector('textarea, input:not([type="hidden"])');
+  }
+
+  valueOf(input) {
+    if (input.type === 'checkbox') return input.checked ? input.value : '';
+    return input.value;
+  }
+
+  restore() {
+    const attributes = CartStore.cart?.attributes || {};
+
+    this.fields.forEach((field) => {
+      const name = field.dataset.cartAttribute;
+      const value = name in CartAttributes.pending ? CartAttributes.pending[name] : attributes[name];
+      const input = this.inputFor(field);
+      if (value === undefined) return;
+
+      if (input.type === 'checkbox') {
+        input.checked = value === input.value;
+      } else {
+        input.value = value;
+      }
+      this.updateCounter(input);
+    });
+  }
+
+  onInput(event) {
+    const field = event.target.closest('[data-cart-attribute]');
+    if (!field) return;
+
+    const input = this.inputFor(field);
+    this.updateCounter(input);
+    if (!this.validate(field)) return;
+
+    CartAttributes.pending[field.dataset.cartAttribute] = this.valueOf(input);
+    this.save();
+  }
+
+  save() {
+    const attributes = { ...CartAttributes.pending };
+    if (!Object.keys(attributes).length) return;
+
+    return CartStore.update({ attributes }, { source: 'cart-attributes', publish: false })
+      .then((response) => {
+        if (response.status || response.errors) return;
+        Object.entries(attributes).forEach(([name, value]) => {
+          if (CartAttributes.pending[name] === value) delete CartAttributes.pending[name];
+        });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  onSubmit(event) {
+    const invalidFields = this.fields.filter((field) => !this.validate(field));
+    if (!invalidFields.length) return;
+
+    event.preventDefault();
+    this.inputFor(invalidFields[0]).focus();
+  }
+
+  validate(field) {
+    const input = this.inputFor(field);
+    let message = '';
+
+    if (input.tagName === 'TEXTAREA' && input.maxLength > 0 && input.value.length > input.maxLength) {
+      message = window.cartStrings.giftMessageTooLong.replace('[max]', input.maxLength);
+    } else if (input.type === 'date') {
+      message = this.validateDeliveryDate(field, input);
+    }
+
+    const error = document.getElementById(`${input.id}-Error`);
+    if (error) error.textContent = message;
+    input.setAttribute('aria-invalid', Boolean(message));
+
+    return !message;
+  }
+
+  validateDeliveryDate(field, input) {
+    if (!input.value) return input.required ? window.cartStrings.deliveryDateRequired : '';
+
+    const earliest = this.earliestDeliveryDate(field);
+    if (input.value < CartAttributes.formatDate(earliest)) {
+      return window.cartStrings.deliveryDateTooSoon.replace(
+        '[date]',
+        earliest.toLocaleDateString(document.documentElement.lang || undefined, { dateStyle: 'medium' })
+      );
+    }
+    if (this.isBlackoutDate(field, new Date(`${input.value}T00:00:00`))) {
+      return window.cartStrings.deliveryDateUnavailable;
+    }
+
+    return '';
+  }
+
+  // Today plus the lead time, moved past any day without delivery
+  earliestDeliveryDate(field) {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + (parseInt(field.dataset.leadDays) || 0));
+
+    for (let i = 0; i < 366 && this.isBlackoutDate(field, date); i++) date.setDate(date.getDate() + 1);
+    return date;
+  }
+
+  isBlackoutDate(field, date) {
+    const weekdays = (field.dataset.blackoutWeekdays || '')
+      .split(',')
+      .map((day) => day.trim().toLowerCase().slice(0, 3))
+      .filter(Boolean)
+      .map((day) => CartAttributes.WEEKDAYS.findIndex((weekday) => weekday.startsWith(day)));
+    const dates = (field.dataset.blackoutDates || '').split(/[\s,]+/).filter(Boolean);
+
+    return weekdays.includes(date.getDay()) || dates.includes(CartAttributes.formatDate(date));
+  }
+
+  updateCounter(input) {
+    const counter = document.getElementById(`${input.id}-Counter`);
+    if (!counter) return;
+
+    counter.textContent = window.cartStrings.giftMessageCounter
+      .replace('[length]', input.value.length)
+      .replace('[max]', input.maxLength);
+  }
+
+  static formatDate(date) {
+    const month = `${date.getMonth() + 1}`.padStart(2, '0');
+    const day = `${date.getDate()}`.padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+customElements.define('cart-attributes', CartAttributes);
+
 if (!customElements.get('cart-note')) {
   customElements.define(
     'cart-note',
@@ -285,10 +906,12 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } }).then(() =>
-              CartPerformance.measureFromEvent('note-update:user-action', event)
-            );
+            CartStore.update({ note: event.target.value }, { source: 'cart-note', publish: false })
+              .then(() => CartPerformance.measureFromEvent('note-update:user-action', event))
+              // The error is shown through PUB_SUB_EVENTS.cartError
+              .catch((e) => {
+                console.error(e);
+              });
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
       }
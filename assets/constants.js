@@ -6,4 +6,7 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  savedItemsUpdate: 'saved-items-update',
+  cartConnection: 'cart-connection',
+  subscriberError: 'subscriber-error',
 };
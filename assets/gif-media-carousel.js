@@ -388,62 +388,33 @@
       button.classList.add('loading');
 
       try {
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            id: variantId,
-            quantity: 1
-          })
-        });
-
-        const data = await response.json();
-
-        if (response.ok && !data.status) {
-          // Success - update cart and show success state
+        const behavior = CartAddBehavior.for(button);
+        const data = await CartStore.add(
+          CartAddBehavior.prepare(behavior, { id: variantId, quantity: 1 }),
+          { source: 'gif-media-carousel', productVariantId: variantId, errorTarget: button }
+        );
+
+        if (!data.status) {
+          // Success - show success state, CartStore has already published the cart update
           button.classList.remove('loading');
           button.classList.add('success');
 
-          // Dispatch cart update event (Dawn theme compatible)
-          if (typeof publish !== 'undefined' && typeof PUB_SUB_EVENTS !== 'undefined') {
-            // Fetch updated cart data
-            const cartResponse = await fetch('/cart.js');
-            const cartData = await cartResponse.json();
-
-            publish(PUB_SUB_EVENTS.cartUpdate, {
-              source: 'gif-media-carousel',
-              productVariantId: variantId,
-              cartData: cartData
-            });
-          } else {
-            // Fallback: dispatch custom event
-            document.dispatchEvent(new CustomEvent('cart:refresh'));
-          }
-
           // Reset button after 2 seconds
           setTimeout(() => {
             button.classList.remove('success');
             button.disabled = false;
           }, 2000);
 
-          // Try to open cart drawer if available
-          const cartDrawer = document.querySelector('cart-drawer');
-          if (cartDrawer && typeof cartDrawer.open === 'function') {
-            cartDrawer.open();
-          }
+          CartAddBehavior.apply(behavior, data);
         } else {
-          // Error handling
-          throw new Error(data.description || 'Failed to add to cart');
+          // CartStore shows the error next to the button
+          button.classList.remove('loading');
+          button.disabled = false;
         }
       } catch (error) {
         console.error('Error adding to cart:', error);
         button.classList.remove('loading');
         button.disabled = false;
-
-        // Show error message (you can customize this)
-        alert(error.message || 'Unable to add product to cart. Please try again.');
       }
     }
 
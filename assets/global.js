@@ -337,6 +337,57 @@ Shopify.addListener = function (target, eventName, callback) {
     : target.attachEvent('on' + eventName, callback);
 };
 
+Shopify.formatMoney = function (cents, format) {
+  if (typeof cents == 'string') cents = cents.replace('.', '');
+  format = format || window.moneyFormats.money;
+
+  var placeholderRegex = /\{\{\s*(\w+)\s*\}\}/;
+  var match = format.match(placeholderRegex);
+  if (!match) return format;
+
+  function formatWithDelimiters(number, precision, thousands, decimal) {
+    thousands = thousands || ',';
+    decimal = decimal || '.';
+    if (isNaN(number) || number == null) return 0;
+
+    var parts = (number / 100.0).toFixed(precision).split('.');
+    var dollars = parts[0].replace(/(\d)(?=(\d\d\d)+(?!\d))/g, '$1' + thousands);
+    return dollars + (parts[1] ? decimal + parts[1] : '');
+  }
+
+  var value;
+  switch (match[1]) {
+    case 'amount':
+      value = formatWithDelimiters(cents, 2);
+      break;
+    case 'amount_no_decimals':
+      value = formatWithDelimiters(cents, 0);
+      break;
+    case 'amount_with_comma_separator':
+      value = formatWithDelimiters(cents, 2, '.', ',');
+      break;
+    case 'amount_no_decimals_with_comma_separator':
+      value = formatWithDelimiters(cents, 0, '.', ',');
+      break;
+    case 'amount_with_apostrophe_separator':
+      value = formatWithDelimiters(cents, 2, "'", '.');
+      break;
+    case 'amount_no_decimals_with_space_separator':
+      value = formatWithDelimiters(cents, 0, ' ');
+      break;
+    case 'amount_with_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', ',');
+      break;
+    case 'amount_with_period_and_space_separator':
+      value = formatWithDelimiters(cents, 2, ' ', '.');
+      break;
+    default:
+      value = formatWithDelimiters(cents, 2);
+  }
+
+  return format.replace(placeholderRegex, value);
+};
+
 Shopify.postLink = function (path, options) {
   options = options || {};
   var method = options['method'] || 'post';
@@ -1121,6 +1172,12 @@ class VariantSelects extends HTMLElement {
       ({ dataset }) => dataset.optionValueId
     );
   }
+
+  get selectedOptionNames() {
+    return Array.from(this.querySelectorAll('select option[selected], fieldset input:checked')).map(
+      ({ value }) => value
+    );
+  }
 }
 
 customElements.define('variant-selects', VariantSelects);
@@ -1202,43 +1259,101 @@ class BulkAdd extends HTMLElement {
 
   constructor() {
     super();
-    this.queue = [];
-    this.setRequestStarted(false);
+    // Quantity changes waiting to be sent, per variant id, with the promises of the changes they replaced
+    this.pending = new Map();
+    this.inFlight = null;
     this.ids = [];
   }
 
+  /**
+   * Queues a quantity change. Changes made within ASYNC_REQUEST_DELAY of each other go out as one
+   * `updateMultipleQty` call, and only one call is in flight at a time. A newer change to the same variant
+   * replaces a queued one, whose promise then resolves with `{ superseded: true }`. Otherwise the promise
+   * resolves with the cart response of the call that carried the change, or rejects with its CartError.
+   */
   startQueue(id, quantity) {
-    this.queue.push({ id, quantity });
+    const key = `${parseInt(id)}`;
 
-    const interval = setInterval(() => {
-      if (this.queue.length > 0) {
-        if (!this.requestStarted) {
-          this.sendRequest(this.queue);
-        }
-      } else {
-        clearInterval(interval);
-      }
-    }, BulkAdd.ASYNC_REQUEST_DELAY);
+    return new Promise((resolve, reject) => {
+      this.pending.get(key)?.resolve({ superseded: true });
+      this.pending.set(key, { quantity, resolve, reject });
+
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = setTimeout(() => this.flushQueue(), BulkAdd.ASYNC_REQUEST_DELAY);
+    });
   }
 
-  sendRequest(queue) {
-    this.setRequestStarted(true);
-    const items = {};
+  flushQueue() {
+    if (this.inFlight || this.pending.size === 0) return;
+
+    const changes = this.pending;
+    this.pending = new Map();
+    const items = Object.fromEntries([...changes].map(([id, { quantity }]) => [id, quantity]));
+
+    this.inFlight = Promise.resolve()
+      .then(() => this.updateMultipleQty(items))
+      .then(
+        (result) => changes.forEach(({ resolve }) => resolve(result)),
+        (error) => changes.forEach(({ reject }) => reject(error))
+      )
+      .finally(() => {
+        this.inFlight = null;
+        // Changes queued while the request was in flight
+        this.flushQueue();
+      });
+  }
 
-    queue.forEach((queueItem) => {
-      items[parseInt(queueItem.id)] = queueItem.quantity;
+  get hasQueuedChanges() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Sends `body` with its `updates` of variant quantities, which count the free gift line like the rows do.
+   * /cart/update by variant id changes the first line of the variant, which can be the gift, so quantities are
+   * set on the variant's own line by key instead, less the gift. A variant whose only line is the gift gets a
+   * line added first. Resolves like CartStore.update.
+   */
+  updateCart(body, context) {
+    const cartItems = CartStore.cart?.items || [];
+    const updates = {};
+    const additions = [];
+
+    Object.entries(body.updates).forEach(([id, quantity]) => {
+      const lines = cartItems.filter((item) => `${item.variant_id}` === id);
+      const gifts = lines.filter(CartGift.isGift);
+      const line = lines.find((item) => !CartGift.isGift(item));
+      const ownQuantity = Math.max(quantity - gifts.reduce((total, item) => total + item.quantity, 0), 0);
+
+      if (line) updates[line.key] = ownQuantity;
+      else if (!gifts.length) updates[id] = quantity;
+      else if (ownQuantity > 0) additions.push({ id: parseInt(id), quantity: ownQuantity });
     });
-    this.queue = this.queue.filter((queueElement) => !queue.includes(queueElement));
 
-    this.updateMultipleQty(items);
+    const added = additions.length
+      ? CartStore.add({ items: additions }, { ...context, publish: false })
+      : Promise.resolve(null);
+    return added.then((response) =>
+      response && CartError.isErrorResponse(response) ? response : CartStore.update({ ...body, updates }, context)
+    );
   }
 
-  setRequestStarted(requestStarted) {
-    this._requestStarted = requestStarted;
+  /**
+   * Queues the quantity of one row. The sections of the call re-render the row once the change goes through,
+   * a failed change sets the row back to the quantity the cart still has.
+   */
+  queueRowChange(id, quantity) {
+    return this.startQueue(id, quantity).catch(() => this.rollbackRow(id));
   }
 
-  get requestStarted() {
-    return this._requestStarted;
+  rollbackRow(id) {
+    const input = this.querySelector(`#Quantity-${id}`);
+    if (!input) return;
+
+    const quantity = (CartStore.cart?.items || [])
+      .filter(({ variant_id }) => `${variant_id}` === `${parseInt(id)}`)
+      .reduce((total, item) => total + item.quantity, 0);
+    input.setAttribute('value', quantity);
+    input.value = quantity;
   }
 
   resetQuantityInput(id) {
@@ -1268,7 +1383,7 @@ class BulkAdd extends HTMLElement {
       event.target.setCustomValidity('');
       event.target.reportValidity();
       event.target.setAttribute('value', inputValue);
-      this.startQueue(index, inputValue);
+      this.queueRowChange(index, inputValue);
     }
   }
 
@@ -1346,19 +1461,6 @@ function closeDrawer(drawer) {
   document.body.classList.remove('overflow-hidden-desktop');
 }
 
-function openDrawer(drawer) {
-  if (!drawer) return;
-
-  if (typeof drawer.open === 'function') drawer.open();
-  else {
-    drawer.classList.add('active');
-    drawer.setAttribute('open', '');
-    document.body.classList.add('overflow-hidden');
-  }
-
-  wireDrawerClose(drawer);
-}
-
 function wireDrawerClose(drawer) {
   if (!drawer) return;
 
@@ -1396,28 +1498,20 @@ document.addEventListener('submit', function (e) {
   const action = (form.getAttribute('action') || '').toLowerCase();
   if (!action.includes('/cart/add')) return;
 
+  // product-form submits through its own handler, intercepting it here would add the item twice
+  if (form.closest('product-form')) return;
+
   e.preventDefault();
 
-  fetch('/cart/add.js', {
-    method: 'POST',
-    body: new FormData(form),
-    headers: { Accept: 'application/json' }
-  })
-    .then(() => fetch('/?sections=cart-drawer'))
-    .then((r) => r.json())
-    .then((data) => {
-      const drawer = document.querySelector('cart-drawer');
-      if (!drawer) return;
-
-      const html = data && data['cart-drawer'];
-      if (html) {
-        const doc = new DOMParser().parseFromString(html, 'text/html');
-        const newDrawer = doc.querySelector('cart-drawer');
-        if (newDrawer) drawer.innerHTML = newDrawer.innerHTML;
-      }
+  const behavior = CartAddBehavior.for(form);
+  const formData = CartAddBehavior.prepare(behavior, new FormData(form));
+
+  CartStore.add(formData, { source: 'cart-add-form', productVariantId: formData.get('id') })
+    .then((response) => {
+      if (response.status) return;
 
-      wireDrawerClose(drawer);
-      openDrawer(drawer);
+      CartAddBehavior.apply(behavior, response);
+      if (behavior === 'drawer') wireDrawerClose(CartAddBehavior.cartFor(behavior));
     })
     .catch(console.error);
 }, true);
@@ -1425,3 +1519,22 @@ document.addEventListener('submit', function (e) {
 document.addEventListener('DOMContentLoaded', () => {
   wireDrawerClose(document.querySelector('cart-drawer'));
 });
+
+// Changes made in another tab never rendered this tab's header, so its cart count is refreshed here
+subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+  if (event.source !== CartStore.REMOTE_SOURCE) return;
+
+  const cartIconBubble = document.getElementById('cart-icon-bubble');
+  if (!cartIconBubble) return;
+
+  return CartRequest.fetch(`${routes.cart_url}?section_id=cart-icon-bubble`)
+    .then((response) => response.text())
+    .then((responseText) => {
+      const html = new DOMParser().parseFromString(responseText, 'text/html');
+      const source = html.querySelector('.shopify-section');
+      if (source) cartIconBubble.innerHTML = source.innerHTML;
+    })
+    .catch((e) => {
+      console.error(e);
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Collects the `cart-performance:*` measures written by CartPerformance along with LCP, INP and CLS, and sends
+ * them in batches with `navigator.sendBeacon` to `window.performanceReporting.endpoint`, for the share of page
+ * views set by `sampleRate` (0 to 100). Every batch carries the page type, device class and cart size.
+ * Listeners added with `PerformanceReporting.onMetric` receive every metric, sampled or not. Like the analytics
+ * data layer, nothing is sent until Shopify's customer privacy API allows analytics, metrics are held until then.
+ */
+class PerformanceReporting {
+  static BATCH_SIZE = 10;
+  static MAX_HELD_METRICS = 50;
+  static MEASURE_PREFIX = 'cart-performance:';
+
+  static #config = window.performanceReporting || {};
+  static #sampled = Math.random() * 100 < (PerformanceReporting.#config.sampleRate || 0);
+  static #consent = false;
+  static #queue = [];
+  static #listeners = [];
+  static #vitals = { lcp: null, cls: 0, interactions: new Map() };
+  static #clsWindow = { value: 0, start: 0, last: 0 };
+  static #vitalsReported = false;
+
+  static get reporting() {
+    return Boolean(PerformanceReporting.#config.endpoint) && PerformanceReporting.#sampled;
+  }
+
+  static onMetric(callback) {
+    PerformanceReporting.#listeners = [...PerformanceReporting.#listeners, callback];
+    return () => {
+      PerformanceReporting.#listeners = PerformanceReporting.#listeners.filter((listener) => listener !== callback);
+    };
+  }
+
+  static start() {
+    PerformanceReporting.#watchConsent();
+
+    PerformanceReporting.#observe('measure', (entry) => {
+      if (!entry.name.startsWith(PerformanceReporting.MEASURE_PREFIX)) return;
+      PerformanceReporting.#record(entry.name.slice(PerformanceReporting.MEASURE_PREFIX.length), entry.duration);
+    });
+    PerformanceReporting.#observe('largest-contentful-paint', (entry) => {
+      PerformanceReporting.#vitals.lcp = entry.startTime;
+    });
+    PerformanceReporting.#observe('layout-shift', (entry) => PerformanceReporting.#addLayoutShift(entry));
+    PerformanceReporting.#observe(
+      'event',
+      (entry) => {
+        if (!entry.interactionId) return;
+        const { interactions } = PerformanceReporting.#vitals;
+        interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+      },
+      { durationThreshold: 40 }
+    );
+
+    // Web vitals are only final when the page is left, and beacons are the only requests that survive it. The page
+    // is hidden before it unloads and may never unload on mobile, so vitals go out the first time, once per page view
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') PerformanceReporting.#reportVitals();
+    });
+    window.addEventListener('pagehide', () => PerformanceReporting.#reportVitals());
+    // A page restored from the back/forward cache is a new page view, it reports again from a clean slate
+    window.addEventListener('pageshow', (event) => {
+      if (!event.persisted) return;
+      PerformanceReporting.#vitals = { lcp: null, cls: 0, interactions: new Map() };
+      PerformanceReporting.#clsWindow = { value: 0, start: 0, last: 0 };
+      PerformanceReporting.#vitalsReported = false;
+    });
+  }
+
+  static #watchConsent() {
+    document.addEventListener('visitorConsentCollected', (event) =>
+      PerformanceReporting.#setConsent(event.detail.analyticsAllowed)
+    );
+    window.Shopify?.loadFeatures?.([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+      if (!error) PerformanceReporting.#setConsent(window.Shopify.customerPrivacy.analyticsProcessingAllowed());
+    });
+  }
+
+  static #setConsent(allowed) {
+    PerformanceReporting.#consent = allowed;
+    if (allowed) PerformanceReporting.#flush();
+  }
+
+  static #observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({
+      type,
+      buffered: true,
+      ...options,
+    });
+  }
+
+  // CLS is the largest burst of shifts less than 1s apart and no longer than 5s in total
+  static #addLayoutShift(entry) {
+    if (entry.hadRecentInput) return;
+
+    const session = PerformanceReporting.#clsWindow;
+    if (session.value && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+      session.value += entry.value;
+    } else {
+      session.value = entry.value;
+      session.start = entry.startTime;
+    }
+    session.last = entry.startTime;
+    PerformanceReporting.#vitals.cls = Math.max(PerformanceReporting.#vitals.cls, session.value);
+  }
+
+  // INP is the slowest interaction, ignoring one outlier per 50 interactions
+  static get #inp() {
+    const durations = [...PerformanceReporting.#vitals.interactions.values()].sort((a, b) => b - a);
+    if (!durations.length) return null;
+    return durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)];
+  }
+
+  // Cart measures recorded since the vitals went out are still sent
+  static #reportVitals() {
+    if (PerformanceReporting.#vitalsReported) {
+      PerformanceReporting.#flush();
+      return;
+    }
+    PerformanceReporting.#vitalsReported = true;
+
+    const { lcp, cls } = PerformanceReporting.#vitals;
+    const inp = PerformanceReporting.#inp;
+
+    if (lcp !== null) PerformanceReporting.#record('lcp', lcp, false);
+    if (inp !== null) PerformanceReporting.#record('inp', inp, false);
+    PerformanceReporting.#record('cls', cls, false);
+    PerformanceReporting.#flush();
+  }
+
+  static #record(name, value, flushWhenFull = true) {
+    const metric = { name, value: Math.round(value * 1000) / 1000, time: Math.round(performance.now()) };
+    PerformanceReporting.#listeners.forEach((listener) => listener(metric));
+
+    if (!PerformanceReporting.reporting) return;
+    if (!PerformanceReporting.#consent && PerformanceReporting.#queue.length >= PerformanceReporting.MAX_HELD_METRICS) {
+      return;
+    }
+    PerformanceReporting.#queue.push(metric);
+    if (flushWhenFull && PerformanceReporting.#queue.length >= PerformanceReporting.BATCH_SIZE) {
+      PerformanceReporting.#flush();
+    }
+  }
+
+  static #flush() {
+    if (!PerformanceReporting.reporting || !PerformanceReporting.#consent || !PerformanceReporting.#queue.length) {
+      return;
+    }
+
+    const payload = JSON.stringify({ context: PerformanceReporting.#context(), metrics: PerformanceReporting.#queue });
+    PerformanceReporting.#queue = [];
+    // text/plain keeps the beacon a simple request, JSON would need a CORS preflight that beacons can't make
+    navigator.sendBeacon(PerformanceReporting.#config.endpoint, new Blob([payload], { type: 'text/plain' }));
+  }
+
+  static #context() {
+    return {
+      pageType: PerformanceReporting.#config.pageType,
+      path: window.location.pathname,
+      deviceClass: PerformanceReporting.#deviceClass(),
+      lowEndDevice: (navigator.deviceMemory || 8) <= 2 || (navigator.hardwareConcurrency || 8) <= 2,
+      connection: navigator.connection?.effectiveType || null,
+      cartItemCount: CartStore.cart?.item_count ?? null,
+      cartLineCount: CartStore.cart?.items.length ?? null,
+      themeRole: window.Shopify?.theme?.role || null,
+    };
+  }
+
+  // Matches the theme's small and medium breakpoints
+  static #deviceClass() {
+    if (window.matchMedia('(max-width: 749px)').matches) return 'mobile';
+    if (window.matchMedia('(max-width: 989px)').matches) return 'tablet';
+    return 'desktop';
+  }
+}
+
+PerformanceReporting.start();
+
+if (!customElements.get('performance-overlay')) {
+  customElements.define(
+    'performance-overlay',
+    class PerformanceOverlay extends HTMLElement {
+      metricUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.list = this.querySelector('.performance-overlay__list');
+        this.template = this.querySelector('template');
+      }
+
+      connectedCallback() {
+        this.metricUnsubscriber = PerformanceReporting.onMetric(this.add.bind(this));
+      }
+
+      disconnectedCallback() {
+        if (this.metricUnsubscriber) this.metricUnsubscriber();
+      }
+
+      add({ name, value }) {
+        const item = this.template.content.firstElementChild.cloneNode(true);
+        item.querySelector('.performance-overlay__name').textContent = name;
+        item.querySelector('.performance-overlay__value').textContent =
+          name === 'cls' ? value.toFixed(3) : `${Math.round(value)} ms`;
+
+        this.list.prepend(item);
+        while (this.list.children.length > parseInt(this.dataset.limit)) this.list.lastElementChild.remove();
+        this.hidden = false;
+      }
+    }
+  );
+}
@@ -23,27 +23,28 @@ if (!customElements.get('price-per-item')) {
           this.getVolumePricingArray();
         });
 
-        this.updatePricePerItemUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (response) => {
-          if (!response.cartData) return;
+        // Replayed so an element rendered after the last cart change, such as in a quick add modal, catches up
+        this.updatePricePerItemUnsubscriber = subscribe(
+          PUB_SUB_EVENTS.cartUpdate,
+          (response) => {
+            if (!response.cartData?.items) return;
 
-          // Item was added to cart via product page
-          if (response.cartData['variant_id'] !== undefined) {
-            if (response.productVariantId === this.variantId) this.updatePricePerItem(response.cartData.quantity);
-            // Qty was updated in cart
-          } else if (response.cartData.item_count !== 0) {
-            const isVariant = response.cartData.items.find((item) => item.variant_id.toString() === this.variantId);
-            if (isVariant && isVariant.id.toString() === this.variantId) {
-              // The variant is still in cart
-              this.updatePricePerItem(isVariant.quantity);
+            if (response.cartData.item_count !== 0) {
+              const isVariant = response.cartData.items.find((item) => item.variant_id.toString() === this.variantId);
+              if (isVariant && isVariant.id.toString() === this.variantId) {
+                // The variant is still in cart
+                this.updatePricePerItem(isVariant.quantity);
+              } else {
+                // The variant was removed from cart, qty is 0
+                this.updatePricePerItem(0);
+              }
+              // All items were removed from cart
             } else {
-              // The variant was removed from cart, qty is 0
               this.updatePricePerItem(0);
             }
-            // All items were removed from cart
-          } else {
-            this.updatePricePerItem(0);
-          }
-        });
+          },
+          { replay: true }
+        );
       }
 
       disconnectedCallback() {
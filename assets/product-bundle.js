@@ -0,0 +1,148 @@
+if (!customElements.get('product-bundle')) {
+  customElements.define(
+    'product-bundle',
+    class ProductBundle extends HTMLElement {
+      constructor() {
+        super();
+
+        this.submitButton = this.querySelector('.product-bundle__add');
+        this.message = this.querySelector('.product-bundle__message');
+
+        this.addEventListener('change', this.onChange.bind(this));
+        this.submitButton.addEventListener('click', this.onSubmit.bind(this));
+        if (CartAddBehavior.for(this) === 'drawer') {
+          this.submitButton.setAttribute('aria-haspopup', 'dialog');
+        }
+      }
+
+      variantChangeUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, ({ data }) => {
+          if (data.sectionId === this.dataset.sectionId) this.updateCurrentItem(data.variant);
+        });
+        this.updateTotal();
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+      }
+
+      get rows() {
+        return [...this.querySelectorAll('.product-bundle__item')];
+      }
+
+      get selectedRows() {
+        return this.rows.filter((row) => row.querySelector('[name="include"]').checked);
+      }
+
+      onChange(event) {
+        const row = event.target.closest('.product-bundle__item');
+        if (event.target.name === 'id' && row) this.updatePrice(row);
+        this.updateTotal();
+      }
+
+      // Follows the variant picked in the main product form, the bundle row has no picker of its own
+      updateCurrentItem(variant) {
+        const row = this.querySelector('.product-bundle__item[data-current]');
+        if (!row) return;
+
+        const checkbox = row.querySelector('[name="include"]');
+        const input = row.querySelector('[name="id"]');
+        const available = Boolean(variant?.available);
+
+        if (variant) {
+          input.value = variant.id;
+          input.dataset.price = variant.price;
+          const title = row.querySelector('.product-bundle__variant');
+          if (title) title.textContent = variant.title;
+        }
+        checkbox.disabled = !available;
+        checkbox.checked = available;
+        row.classList.toggle('product-bundle__item--unavailable', !available);
+        this.updatePrice(row);
+        this.updateTotal();
+      }
+
+      priceOf(row) {
+        const input = row.querySelector('[name="id"]');
+        const price = input.tagName === 'SELECT' ? input.selectedOptions[0]?.dataset.price : input.dataset.price;
+        return parseInt(price) || 0;
+      }
+
+      updatePrice(row) {
+        row.querySelector('.product-bundle__price').textContent = Shopify.formatMoney(
+          this.priceOf(row),
+          window.moneyFormats.money
+        );
+        this.showError(row);
+      }
+
+      updateTotal() {
+        const rows = this.selectedRows;
+        this.querySelector('.product-bundle__total-price').textContent = Shopify.formatMoney(
+          rows.reduce((total, row) => total + this.priceOf(row), 0),
+          window.moneyFormats.money
+        );
+        this.submitButton.disabled = rows.length === 0;
+      }
+
+      onSubmit(event) {
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        const rows = this.selectedRows;
+        if (!rows.length) return;
+
+        // Lines of one bundle share this property so the cart can show them together
+        const bundle = `${this.dataset.productId}-${Date.now().toString(36)}`;
+        const items = rows.map((row) => ({
+          id: parseInt(row.querySelector('[name="id"]').value),
+          quantity: 1,
+          properties: { _bundle: bundle },
+        }));
+        const behavior = CartAddBehavior.for(this);
+        const body = CartAddBehavior.prepare(behavior, { items });
+        const context = { source: 'product-bundle', errorTarget: false };
+
+        this.rows.forEach((row) => this.showError(row));
+        this.message.textContent = '';
+        this.toggleLoading(true);
+
+        return CartStore.addEach(body, context)
+          .then(({ response, failures }) => {
+            failures.forEach(({ index, error }) => this.showError(rows[index], error.message));
+            if (failures.length) {
+              this.message.textContent = response ? window.cartStrings.bundlePartialError : failures[0].error.message;
+            }
+            // Going to the cart page would hide the errors
+            if (!response || (behavior === 'page' && failures.length)) return;
+            CartAddBehavior.apply(behavior, response);
+          })
+          .catch((e) => {
+            console.error(e);
+            this.message.textContent = CartError.fromException(e).message;
+          })
+          .finally(() => {
+            this.toggleLoading(false);
+            CartPerformance.measureFromEvent('add:user-action', event);
+          });
+      }
+
+      showError(row, message = '') {
+        const error = row.querySelector('.product-bundle__error');
+        error.textContent = message;
+        error.hidden = !message;
+      }
+
+      toggleLoading(loading) {
+        if (loading) {
+          this.submitButton.setAttribute('aria-disabled', true);
+        } else {
+          this.submitButton.removeAttribute('aria-disabled');
+        }
+        this.submitButton.classList.toggle('loading', loading);
+        this.submitButton.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+    }
+  );
+}
@@ -2,6 +2,78 @@ if (!customElements.get('product-info')) {
   customElements.define(
     'product-info',
     class ProductInfo extends HTMLElement {
+      static CACHE_SIZE = 20;
+      // Parsed section responses by request URL, least recently used first. Shared by every product-info, with the
+      // id of the variant each one renders once it has loaded
+      static #responses = new Map();
+      static #cartQuantities = ProductInfo.#quantitiesOf(CartStore.cart);
+
+      static {
+        subscribe(PUB_SUB_EVENTS.cartUpdate, ({ cartData }) => ProductInfo.#onCartUpdate(cartData));
+      }
+
+      /**
+       * Resolves with the parsed response of `url`, from the cache when it was requested before. Callers get the
+       * cached document itself, so they render a copy of it.
+       */
+      static fetchSection(url) {
+        const cached = ProductInfo.#responses.get(url);
+        if (cached) {
+          ProductInfo.#responses.delete(url);
+          ProductInfo.#responses.set(url, cached);
+          return cached.html;
+        }
+
+        const entry = {
+          variantId: undefined,
+          html: fetch(url)
+            .then((response) => {
+              if (!response.ok) throw new Error(`Section request failed with ${response.status}`);
+              return response.text();
+            })
+            .then((responseText) => {
+              const html = new DOMParser().parseFromString(responseText, 'text/html');
+              const selectedVariant = html.querySelector('variant-selects [data-selected-variant]')?.innerHTML;
+              entry.variantId = selectedVariant ? JSON.parse(selectedVariant)?.id ?? null : null;
+              return html;
+            })
+            .catch((error) => {
+              if (ProductInfo.#responses.get(url) === entry) ProductInfo.#responses.delete(url);
+              throw error;
+            }),
+        };
+
+        ProductInfo.#responses.set(url, entry);
+        if (ProductInfo.#responses.size > ProductInfo.CACHE_SIZE) {
+          ProductInfo.#responses.delete(ProductInfo.#responses.keys().next().value);
+        }
+        return entry.html;
+      }
+
+      // Responses render quantity rules with the quantity of their variant in the cart, those whose quantity changed
+      // are dropped, as are responses still loading
+      static #onCartUpdate(cart) {
+        if (!cart?.items) return;
+
+        const previous = ProductInfo.#cartQuantities;
+        const quantities = ProductInfo.#quantitiesOf(cart);
+        ProductInfo.#cartQuantities = quantities;
+
+        ProductInfo.#responses.forEach(({ variantId }, url) => {
+          if (variantId === undefined || quantities.get(variantId) !== previous.get(variantId)) {
+            ProductInfo.#responses.delete(url);
+          }
+        });
+      }
+
+      static #quantitiesOf(cart) {
+        const quantities = new Map();
+        cart?.items?.forEach(({ variant_id, quantity }) =>
+          quantities.set(variant_id, (quantities.get(variant_id) || 0) + quantity)
+        );
+        return quantities;
+      }
+
       quantityInput = undefined;
       quantityForm = undefined;
       onVariantChangeUnsubscriber = undefined;
@@ -25,6 +97,11 @@ if (!customElements.get('product-info')) {
           this.handleOptionValueChange.bind(this)
         );
 
+        const prefetchOptionValue = this.prefetchOptionValue.bind(this);
+        ['pointerover', 'focusin', 'touchstart'].forEach((type) =>
+          this.addEventListener(type, prefetchOptionValue, { passive: true })
+        );
+
         this.initQuantityHandlers();
         this.dispatchEvent(new CustomEvent('product-info:loaded', { bubbles: true }));
       }
@@ -70,6 +147,13 @@ if (!customElements.get('product-info')) {
         const shouldSwapProduct = this.dataset.url !== productUrl;
         const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
 
+        if (!shouldSwapProduct && this.renderVariantFromData()) {
+          // A section request still in flight would render the previous selection over this one
+          this.abortController?.abort();
+          this.pendingRequestUrl = null;
+          return;
+        }
+
         this.renderProductInfo({
           requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage),
           targetId: target.id,
@@ -113,16 +197,44 @@ if (!customElements.get('product-info')) {
         };
       }
 
+      /**
+       * Requests the section for the value of a swatch or button under the pointer, focused or touched, so it is
+       * cached by the time it is selected. Values that switch on the client with renderVariantFromData are skipped,
+       * and so are dropdowns, whose options give no sign of the next selection.
+       */
+      prefetchOptionValue({ target }) {
+        const input = target.closest?.('label')?.control || target;
+        if (!input.matches?.('input[type="radio"][data-option-value-id]') || input.checked) return;
+        if (!this.variantSelectors?.contains(input)) return;
+
+        const productUrl = input.dataset.productUrl || this.dataset.url;
+        const shouldSwapProduct = this.dataset.url !== productUrl;
+        if (!shouldSwapProduct && this.variantData?.resolvable) return;
+
+        const position = [...this.variantSelectors.querySelectorAll('.product-form__input')].indexOf(
+          input.closest('.product-form__input')
+        );
+        const selectedOptionValues = this.variantSelectors.selectedOptionValues;
+        selectedOptionValues[position] = input.dataset.optionValueId;
+
+        const shouldFetchFullPage = this.dataset.updateUrl === 'true' && shouldSwapProduct;
+        ProductInfo.fetchSection(
+          this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage)
+        ).catch(() => {});
+      }
+
       renderProductInfo({ requestUrl, targetId, callback }) {
         this.abortController?.abort();
         this.abortController = new AbortController();
+        const { signal } = this.abortController;
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
-          .then((responseText) => {
+        // The request isn't cancelled, its response is cached for the next time this selection is made
+        ProductInfo.fetchSection(requestUrl)
+          .then((html) => {
+            signal.throwIfAborted();
             this.pendingRequestUrl = null;
-            const html = new DOMParser().parseFromString(responseText, 'text/html');
-            callback(html);
+            // Rendering moves and changes nodes of the response, the cached one stays intact
+            callback(html.cloneNode(true));
           })
           .then(() => {
             // set focus to last clicked option value
@@ -211,6 +323,145 @@ if (!customElements.get('product-info')) {
         };
       }
 
+      /**
+       * Switches to the selected variant with the JSON of the 'product-variant-data' snippet, without requesting the
+       * section. Returns false when the section has to be rendered instead, because the JSON isn't resolvable or the
+       * gallery doesn't have the variant's media, as when the media of other variants is hidden.
+       */
+      renderVariantFromData() {
+        const data = this.variantData;
+        if (!data?.resolvable) return false;
+
+        const selectedOptions = this.variantSelectors.selectedOptionNames;
+        const entry = data.variants.find(({ variant }) =>
+          variant.options.every((option, index) => option === selectedOptions[index])
+        );
+        const variant = entry?.variant ?? null;
+        const mediaId = variant?.featured_media?.id && `${this.dataset.section}-${variant.featured_media.id}`;
+        if (mediaId && !this.querySelector(`media-gallery [data-media-id="${mediaId}"]`)) return false;
+
+        const previousVariantId = this.productForm?.variantIdInput?.value;
+        this.updateOptionAvailability(data.variants, selectedOptions);
+        this.pickupAvailability?.update(variant);
+        this.updateURL(this.dataset.url, variant?.id);
+        this.updateVariantInputs(variant?.id);
+        this.productForm?.handleErrorMessage();
+
+        if (!variant) {
+          this.setUnavailable();
+          return true;
+        }
+
+        if (mediaId) {
+          this.querySelector('media-gallery')?.setActiveMedia?.(mediaId, true);
+          // The modal renders the featured media of the selected variant first
+          const modalMedia = this.productModal?.querySelector(
+            `.product-media-modal__content > [data-media-id="${variant.featured_media.id}"]`
+          );
+          modalMedia?.parentElement.prepend(modalMedia);
+        }
+        this.updateVariantDetails(entry, data.inventory);
+        this.updateQuantityRulesFromData(data.variants, [previousVariantId, `${variant.id}`]);
+        this.productForm?.toggleSubmitButton(!entry.purchasable, window.variantStrings.soldOut);
+
+        publish(PUB_SUB_EVENTS.variantChange, {
+          data: {
+            sectionId: this.sectionId,
+            variant,
+          },
+        });
+        return true;
+      }
+
+      // A value is available when an available variant has it along with the values selected for the options before it
+      updateOptionAvailability(variants, selectedOptions) {
+        this.variantSelectors.querySelectorAll('.product-form__input').forEach((optionInput, position) => {
+          const previousOptions = selectedOptions.slice(0, position);
+
+          optionInput.querySelectorAll('input[type="radio"], option').forEach((input) => {
+            const available = variants.some(
+              ({ variant }) =>
+                variant.available &&
+                variant.options[position] === input.value &&
+                previousOptions.every((option, index) => variant.options[index] === option)
+            );
+
+            if (input.tagName === 'OPTION') {
+              input.textContent = available
+                ? input.value
+                : window.variantStrings.unavailable_with_option.replace('[value]', input.value);
+            } else {
+              const disabledClass = input.classList.contains('swatch-input__input') ? 'visually-disabled' : 'disabled';
+              input.classList.toggle(disabledClass, !available);
+            }
+          });
+        });
+      }
+
+      updateVariantDetails({ variant, on_sale, price, compare_at_price, unit_price, inventory }, inventoryBlock) {
+        const priceElement = this.querySelector(`#price-${this.dataset.section}`);
+        if (priceElement) {
+          priceElement.classList.remove('hidden');
+          priceElement.querySelector('.price')?.classList.toggle('price--sold-out', !variant.available);
+          priceElement.querySelector('.price')?.classList.toggle('price--on-sale', on_sale);
+          priceElement
+            .querySelectorAll('.price__regular .price-item--regular, .price-item--sale')
+            .forEach((item) => (item.textContent = price));
+          if (on_sale) {
+            priceElement
+              .querySelectorAll('.price__sale .price-item--regular')
+              .forEach((item) => (item.textContent = compare_at_price));
+          }
+          priceElement.querySelector('.unit-price')?.remove();
+          if (unit_price) priceElement.querySelector('.price__container')?.insertAdjacentHTML('beforeend', unit_price);
+        }
+
+        const skuElement = this.querySelector(`#Sku-${this.dataset.section}`);
+        if (skuElement) {
+          skuElement.replaceChildren(...skuElement.querySelectorAll('.visually-hidden'), variant.sku || '');
+          skuElement.classList.toggle('visibility-hidden', !variant.sku);
+          skuElement.classList.remove('hidden');
+        }
+
+        const inventoryElement = this.querySelector(`#Inventory-${this.dataset.section}`);
+        if (inventoryElement) {
+          const status = inventory && this.inventoryStatus(inventory, inventoryBlock);
+          inventoryElement.replaceChildren(...(status || []));
+          inventoryElement.classList.toggle('hidden', !status);
+        }
+      }
+
+      // Builds the status that the 'product-inventory' snippet renders, from the states of 'product-variant-data'
+      inventoryStatus({ state, quantity }, { icon, statuses }) {
+        const { color, message } = statuses[state];
+
+        const iconWrapper = document.createElement('span');
+        iconWrapper.className = 'svg-wrapper';
+        iconWrapper.style.color = color;
+        iconWrapper.innerHTML = icon;
+        return [iconWrapper, message.replace('[quantity]', quantity)];
+      }
+
+      // Quantity rules and cart quantities are only rendered by Liquid, so the section is still requested when the
+      // previous or the selected variant has rules or is in the cart
+      updateQuantityRulesFromData(variants, variantIds) {
+        this.querySelector(`#Quantity-Rules-${this.dataset.section}`)?.classList.remove('hidden');
+        if (!this.quantityForm) return;
+
+        const cartItems = CartStore.cart?.items || [];
+        const needsRender = variantIds.some(
+          (id) =>
+            variants.find(({ variant }) => `${variant.id}` === id)?.quantity_rules ||
+            cartItems.some((item) => `${item.variant_id}` === id)
+        );
+
+        if (needsRender) {
+          this.fetchQuantityRules();
+        } else {
+          this.setQuantityBoundries();
+        }
+      }
+
       updateVariantInputs(variantId) {
         this.querySelectorAll(
           `#product-form-${this.dataset.section}, #product-form-installment-${this.dataset.section}`
@@ -405,6 +656,16 @@ if (!customElements.get('product-info')) {
         return this.querySelector('variant-selects');
       }
 
+      // Parsed once per rendered script, prefetching reads it on every pointer move over the options
+      get variantData() {
+        const script = this.variantSelectors?.querySelector('script[data-product-variants]');
+        if (script !== this.variantDataScript) {
+          this.variantDataScript = script;
+          this.parsedVariantData = script ? JSON.parse(script.textContent) : null;
+        }
+        return this.parsedVariantData;
+      }
+
       get relatedProducts() {
         const relatedProductsSectionId = SectionId.getIdForSection(
           SectionId.parseId(this.sectionId),
@@ -1,12 +1,30 @@
 let subscribers = {};
+let lastEvents = {};
 
-function subscribe(eventName, callback) {
+/**
+ * `eventName` is an event name, `*` for every event, or a prefix ending in `*` such as `cart-*`. Callbacks receive
+ * the event data and the event name. With `{ replay: true }` the callback is also called with the last published
+ * data of each matching event, so elements connected after a publish start from the current state. Errors are
+ * not state and are never replayed.
+ */
+function subscribe(eventName, callback, { replay = false } = {}) {
   if (subscribers[eventName] === undefined) {
     subscribers[eventName] = [];
   }
 
   subscribers[eventName] = [...subscribers[eventName], callback];
 
+  if (replay) {
+    Object.keys(lastEvents)
+      .filter((name) => matchesEvent(eventName, name))
+      .forEach((name) =>
+        queueMicrotask(() => {
+          // The callback may have been unsubscribed since, right after subscribing
+          if (subscribers[eventName].includes(callback)) notify(callback, name, lastEvents[name]);
+        })
+      );
+  }
+
   return function unsubscribe() {
     subscribers[eventName] = subscribers[eventName].filter((cb) => {
       return cb !== callback;
@@ -14,12 +32,33 @@ function subscribe(eventName, callback) {
   };
 }
 
+/**
+ * Resolves once every subscriber has finished. A subscriber that throws or rejects doesn't stop the others and
+ * doesn't reject the publish, its error is logged and published as PUB_SUB_EVENTS.subscriberError.
+ */
 function publish(eventName, data) {
-  if (subscribers[eventName]) {
-    const promises = subscribers[eventName]
-      .map((callback) => callback(data))
-    return Promise.all(promises);
-  } else {
-    return Promise.resolve()
+  if (eventName !== PUB_SUB_EVENTS.cartError && eventName !== PUB_SUB_EVENTS.subscriberError) {
+    lastEvents[eventName] = data;
   }
+
+  const promises = Object.keys(subscribers)
+    .filter((pattern) => matchesEvent(pattern, eventName))
+    .flatMap((pattern) => subscribers[pattern])
+    .map((callback) => notify(callback, eventName, data));
+  return Promise.all(promises);
+}
+
+function matchesEvent(pattern, eventName) {
+  if (pattern.endsWith('*')) return eventName.startsWith(pattern.slice(0, -1));
+  return pattern === eventName;
+}
+
+function notify(callback, eventName, data) {
+  return new Promise((resolve) => resolve(callback(data, eventName))).catch((error) => {
+    console.error(`A subscriber to "${eventName}" failed`, error);
+    // An error in an error subscriber is only logged, publishing it again could loop
+    if (eventName !== PUB_SUB_EVENTS.subscriberError) {
+      publish(PUB_SUB_EVENTS.subscriberError, { eventName, error });
+    }
+  });
 }
@@ -8,7 +8,7 @@ if (!customElements.get('quick-add-bulk')) {
 
         const debouncedOnChange = debounce((event) => {
           if (parseInt(event.target.value) === 0) {
-            this.startQueue(event.target.dataset.index, parseInt(event.target.value));
+            this.queueRowChange(event.target.dataset.index, parseInt(event.target.value));
           } else {
             this.validateQuantity(event);
           }
@@ -24,8 +24,7 @@ if (!customElements.get('quick-add-bulk')) {
         this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
           if (
             event.source === 'quick-add' ||
-            (event.cartData.items && !event.cartData.items.some((item) => item.id === parseInt(this.dataset.index))) ||
-            (event.cartData.variant_id && !(event.cartData.variant_id === parseInt(this.dataset.index)))
+            !event.cartData.items.some((item) => item.id === parseInt(this.dataset.index))
           ) {
             return;
           }
@@ -87,7 +86,7 @@ if (!customElements.get('quick-add-bulk')) {
 
       onCartUpdate() {
         return new Promise((resolve, reject) => {
-          fetch(`${this.getSectionsUrl()}?section_id=${this.sectionId}`)
+          CartRequest.fetch(`${this.getSectionsUrl()}?section_id=${this.sectionId}`)
             .then((response) => response.text())
             .then((responseText) => {
               const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -115,33 +114,21 @@ if (!customElements.get('quick-add-bulk')) {
         this.selectProgressBar().classList.remove('hidden');
 
         const ids = Object.keys(items);
-        const body = JSON.stringify({
+        const body = {
           updates: items,
           sections: this.getSectionsToRender().map((section) => section.section),
           sections_url: this.getSectionsUrl(),
-        });
+        };
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => {
-            return response.text();
-          })
-          .then((state) => {
-            const parsedState = JSON.parse(state);
+        return this.updateCart(body, { source: 'quick-add', errorTarget: this.querySelector('quantity-input') })
+          .then((parsedState) => {
+            // The error is shown at the quantity input, the row rolls back through the promise of its change
+            if (CartError.isErrorResponse(parsedState)) throw CartError.fromResponse(parsedState);
             this.renderSections(parsedState, ids);
-            publish(PUB_SUB_EVENTS.cartUpdate, { source: 'quick-add', cartData: parsedState });
-          })
-          .catch(() => {
-            // Commented out for now and will be fixed when BE issue is done https://github.com/Shopify/shopify/issues/440605
-            // e.target.setCustomValidity(error);
-            // e.target.reportValidity();
-            // this.resetQuantityInput(ids[index]);
-            // this.selectProgressBar().classList.add('hidden');
-            // e.target.select();
-            // this.cleanErrorMessageOnType(e);
+            return parsedState;
           })
           .finally(() => {
             this.selectProgressBar().classList.add('hidden');
-            this.setRequestStarted(false);
           });
       }
 
@@ -166,8 +153,8 @@ if (!customElements.get('quick-add-bulk')) {
       }
 
       renderSections(parsedState, ids) {
-        const intersection = this.queue.filter((element) => ids.includes(element.id));
-        if (intersection.length !== 0) return;
+        // A newer quantity for one of these variants is queued, its response will render the sections
+        if (ids.some((id) => this.pending.has(id))) return;
         this.getSectionsToRender().forEach((section) => {
           const sectionElement = document.getElementById(section.id);
           if (section.section === 'cart-drawer') {
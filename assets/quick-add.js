@@ -12,20 +12,25 @@ if (!customElements.get('quick-add-modal')) {
       }
 
       hide(preventFocus = false) {
-        const cartNotification = document.querySelector('cart-notification') || document.querySelector('cart-drawer');
-        if (cartNotification) cartNotification.setActiveElement(this.openedBy);
+        document
+          .querySelectorAll('cart-notification, cart-drawer')
+          .forEach((cart) => cart.setActiveElement(this.openedBy));
         this.modalContent.innerHTML = '';
 
         if (preventFocus) this.openedBy = null;
         super.hide();
       }
 
-      show(opener) {
-        opener.setAttribute('aria-disabled', true);
-        opener.classList.add('loading');
-        opener.querySelector('.loading__spinner').classList.remove('hidden');
+      show(opener, productUrl = opener.getAttribute('data-product-url')) {
+        // Only quick add buttons show loading, other openers such as those of window.theme.quickAdd get focus back
+        const spinner = opener.hasAttribute('data-product-url') && opener.querySelector('.loading__spinner');
+        if (spinner) {
+          opener.setAttribute('aria-disabled', true);
+          opener.classList.add('loading');
+          spinner.classList.remove('hidden');
+        }
 
-        fetch(opener.getAttribute('data-product-url'))
+        return fetch(productUrl)
           .then((response) => response.text())
           .then((responseText) => {
             const responseHTML = new DOMParser().parseFromString(responseText, 'text/html');
@@ -42,9 +47,10 @@ if (!customElements.get('quick-add-modal')) {
             super.show(opener);
           })
           .finally(() => {
+            if (!spinner) return;
             opener.removeAttribute('aria-disabled');
             opener.classList.remove('loading');
-            opener.querySelector('.loading__spinner').classList.add('hidden');
+            spinner.classList.add('hidden');
           });
       }
 
@@ -90,7 +90,7 @@ if (!customElements.get('quick-order-list')) {
           button.addEventListener('click', (event) => {
             event.preventDefault();
             this.toggleLoading(true);
-            this.startQueue(button.dataset.index, 0);
+            this.queueRowChange(button.dataset.index, 0);
           });
         });
       }
@@ -108,7 +108,7 @@ if (!customElements.get('quick-order-list')) {
         this.cleanErrorMessageOnType(event);
         if (inputValue == 0) {
           event.target.setAttribute('value', inputValue);
-          this.startQueue(event.target.dataset.index, inputValue);
+          this.queueRowChange(event.target.dataset.index, inputValue);
         } else {
           this.validateQuantity(event);
         }
@@ -176,7 +176,7 @@ if (!customElements.get('quick-order-list')) {
       async refresh(pageNumber = null) {
         const url = this.dataset.url || window.location.pathname;
 
-        return fetch(`${url}?section_id=${this.dataset.section}&page=${pageNumber || this.currentPage}`)
+        return CartRequest.fetch(`${url}?section_id=${this.dataset.section}&page=${pageNumber || this.currentPage}`)
           .then((response) => response.text())
           .then((responseText) => {
             const html = new DOMParser().parseFromString(responseText, 'text/html');
@@ -204,7 +204,7 @@ if (!customElements.get('quick-order-list')) {
           const newSection = new DOMParser().parseFromString(sections[section], 'text/html').querySelector(selector);
 
           if (section === this.dataset.section) {
-            if (this.queue.length > 0 || this.hasPendingQuantityUpdate) return;
+            if (this.hasQueuedChanges || this.hasPendingQuantityUpdate) return;
 
             const focusedElement = document.activeElement;
             let focusTarget = focusedElement?.dataset?.target;
@@ -324,37 +324,40 @@ if (!customElements.get('quick-order-list')) {
       }
 
       updateMultipleQty(items) {
-        if (this.queue.length == 0) this.hasPendingQuantityUpdate = false;
+        if (!this.hasQueuedChanges) this.hasPendingQuantityUpdate = false;
 
         this.toggleLoading(true);
         const url = this.dataset.url || window.location.pathname;
 
-        const body = JSON.stringify({
+        const body = {
           updates: items,
           sections: this.getSectionsToRender().map(({ section }) => section),
           sections_url: `${url}?page=${this.currentPage}`,
-        });
+        };
 
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => response.text())
-          .then(async (state) => {
-            const parsedState = JSON.parse(state);
-            this.renderSections(parsedState);
-            publish(PUB_SUB_EVENTS.cartUpdate, {
-              source: this.id,
-              cartData: parsedState,
-            });
-          })
-          .catch((e) => {
-            console.error(e);
-            this.setErrorMessage(window.cartStrings.error);
-          })
+        return this.updateCart(body, { source: this.id, errorTarget: false })
+          .then(
+            (parsedState) => {
+              if (CartError.isErrorResponse(parsedState)) {
+                const error = CartError.fromResponse(parsedState);
+                this.setErrorMessage(error.message);
+                throw error;
+              }
+              this.renderSections(parsedState);
+              return parsedState;
+            },
+            (e) => {
+              console.error(e);
+              const error = CartError.fromException(e);
+              this.setErrorMessage(error.message);
+              throw error;
+            }
+          )
           .finally(() => {
-            this.queue.length === 0 && this.toggleLoading(false);
-            this.setRequestStarted(false);
+            !this.hasQueuedChanges && this.toggleLoading(false);
           });
       }
 
@@ -459,12 +462,9 @@ if (!customElements.get('quick-order-list-remove-all-button')) {
           if (this.dataset.action === this.actions.confirm) {
             this.toggleConfirmation(false, true);
           } else if (this.dataset.action === this.actions.remove) {
-            const items = this.quickOrderList.cartVariantsForProduct.reduce(
-              (acc, variantId) => ({ ...acc, [variantId]: 0 }),
-              {}
+            this.quickOrderList.cartVariantsForProduct.forEach((variantId) =>
+              this.quickOrderList.queueRowChange(variantId, 0)
             );
-
-            this.quickOrderList.updateMultipleQty(items);
             this.toggleConfirmation(true, false);
           } else if (this.dataset.action === this.actions.cancel) {
             this.toggleConfirmation(true, false);
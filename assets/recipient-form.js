@@ -43,8 +43,9 @@ if (!customElements.get('recipient-form')) {
         });
 
         this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartError, (event) => {
+          if (event.error?.type !== CartError.TYPES.GIFT_CARD) return;
           if (event.source === 'product-form' && event.productVariantId.toString() === this.currentProductVariantId) {
-            this.displayErrorMessage(event.message, event.errors);
+            this.displayErrorMessage(event.error.message, event.error.fields);
           }
         });
       }
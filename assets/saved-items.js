@@ -0,0 +1,269 @@
+/**
+ * Keeps saved items in localStorage. Any object with the same `load()` and `save(items)` methods,
+ * both returning promises, can be set as `SavedItems.adapter`, for example one that syncs the list
+ * to a customer metafield through an app proxy.
+ */
+class LocalStorageSavedItemsAdapter {
+  constructor(key) {
+    this.key = key;
+  }
+
+  load() {
+    try {
+      return Promise.resolve(JSON.parse(localStorage.getItem(this.key)) || []);
+    } catch (e) {
+      return Promise.resolve([]);
+    }
+  }
+
+  save(items) {
+    try {
+      localStorage.setItem(this.key, JSON.stringify(items));
+      return Promise.resolve();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  }
+}
+
+/**
+ * The "Save for later" list. Every change publishes PUB_SUB_EVENTS.savedItemsUpdate with the full list as `items`.
+ */
+class SavedItems {
+  static adapter = new LocalStorageSavedItemsAdapter('saved-for-later');
+  static #items = null;
+
+  static load() {
+    if (!SavedItems.#items) SavedItems.#items = SavedItems.adapter.load();
+    return SavedItems.#items;
+  }
+
+  static add(item) {
+    return SavedItems.load().then((items) => {
+      const existing = items.find(({ key }) => key === item.key);
+      const saved = existing ? { ...item, quantity: existing.quantity + item.quantity } : item;
+      return SavedItems.#commit([saved, ...items.filter(({ key }) => key !== item.key)]);
+    });
+  }
+
+  // Undoes an `add`, an item that was already saved keeps its earlier quantity
+  static subtract({ key, quantity }) {
+    return SavedItems.load().then((items) =>
+      SavedItems.#commit(
+        items
+          .map((item) => (item.key === key ? { ...item, quantity: item.quantity - quantity } : item))
+          .filter((item) => item.quantity > 0)
+      )
+    );
+  }
+
+  static remove(key) {
+    return SavedItems.load().then((items) => SavedItems.#commit(items.filter((item) => item.key !== key)));
+  }
+
+  static fromCartItem(item) {
+    const properties = item.properties || {};
+
+    return {
+      key: `${item.variant_id}:${JSON.stringify(properties)}`,
+      variantId: item.variant_id,
+      handle: item.handle,
+      url: item.url,
+      title: item.product_title,
+      variantTitle: item.product_has_only_default_variant ? null : item.variant_title,
+      image: item.image,
+      quantity: item.quantity,
+      properties,
+      sellingPlan: item.selling_plan_allocation?.selling_plan.id || null,
+      // Before discounts, like the variant price it is compared with later
+      price: item.original_price,
+    };
+  }
+
+  static #commit(items) {
+    SavedItems.#items = Promise.resolve(items);
+    return SavedItems.adapter.save(items).then(() => {
+      publish(PUB_SUB_EVENTS.savedItemsUpdate, { items });
+      return items;
+    });
+  }
+}
+
+if (!customElements.get('cart-save-for-later-button')) {
+  customElements.define(
+    'cart-save-for-later-button',
+    class CartSaveForLaterButton extends HTMLElement {
+      constructor() {
+        super();
+
+        this.querySelector('button').addEventListener('click', this.onClick.bind(this));
+      }
+
+      onClick(event) {
+        const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+        const line = this.dataset.index;
+        const item = CartStore.cart?.items[line - 1];
+        if (!cartItems || !item) return;
+
+        // Saved first, so that an item the list can't store stays in the cart
+        const savedItem = SavedItems.fromCartItem(item);
+        return SavedItems.add(savedItem)
+          .then(() => cartItems.updateQuantity(line, 0, event))
+          .then(() => {
+            if (CartStore.cart.items.some(({ key }) => key === item.key)) return SavedItems.subtract(savedItem);
+            cartItems.announce(window.cartStrings.savedForLater.replace('[title]', item.product_title));
+          })
+          .catch((e) => {
+            console.error(e);
+          });
+      }
+    }
+  );
+}
+
+if (!customElements.get('cart-saved-items')) {
+  customElements.define(
+    'cart-saved-items',
+    class CartSavedItems extends HTMLElement {
+      // Product JSON per handle, fetched once per page so re-renders after cart updates stay cheap
+      static products = new Map();
+
+      constructor() {
+        super();
+
+        this.list = this.querySelector('.cart-saved-items__list');
+        this.status = this.querySelector('.cart-saved-items__status');
+        this.template = this.querySelector('template');
+        this.list.addEventListener('click', this.onClick.bind(this));
+      }
+
+      savedItemsUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.savedItemsUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.savedItemsUpdate, ({ items }) =>
+          this.render(items)
+        );
+        SavedItems.load().then((items) => this.render(items));
+      }
+
+      disconnectedCallback() {
+        if (this.savedItemsUpdateUnsubscriber) this.savedItemsUpdateUnsubscriber();
+      }
+
+      render(items) {
+        this.items = items;
+        this.hidden = items.length === 0;
+
+        return Promise.all(items.map((item) => this.refresh(item))).then((refreshedItems) => {
+          // A newer list was rendered while products were loading
+          if (items !== this.items) return;
+          this.list.replaceChildren(...refreshedItems.map((item) => this.renderItem(item)));
+        });
+      }
+
+      // Re-checks availability and price against the live product, saved data can be weeks old
+      refresh(item) {
+        return CartSavedItems.fetchProduct(item.handle)
+          .then((product) => {
+            const variant = product?.variants.find(({ id }) => id === item.variantId);
+            return {
+              ...item,
+              available: Boolean(variant?.available),
+              currentPrice: variant ? variant.price : item.price,
+              exists: Boolean(variant),
+            };
+          })
+          .catch(() => ({ ...item, available: true, currentPrice: item.price, exists: true }));
+      }
+
+      renderItem(item) {
+        const element = this.template.content.firstElementChild.cloneNode(true);
+        const image = element.querySelector('img');
+        element.dataset.key = item.key;
+
+        element.querySelectorAll('a').forEach((link) => (link.href = item.url));
+        if (item.image) {
+          image.src = item.image;
+          image.alt = item.title;
+        } else {
+          image.remove();
+        }
+        element.querySelector('.cart-saved-items__title').textContent = item.title;
+        element.querySelector('.cart-saved-items__variant').textContent = item.variantTitle || '';
+        element.querySelector('.cart-saved-items__price').textContent = Shopify.formatMoney(
+          item.currentPrice,
+          window.moneyFormats.money
+        );
+
+        let notice = '';
+        if (!item.exists) {
+          notice = window.variantStrings.unavailable;
+        } else if (!item.available) {
+          notice = window.variantStrings.soldOut;
+        } else if (item.currentPrice !== item.price) {
+          notice = window.cartStrings.savedItemPriceChanged.replace(
+            '[price]',
+            Shopify.formatMoney(item.price, window.moneyFormats.money)
+          );
+        }
+        element.querySelector('.cart-saved-items__notice').textContent = notice;
+        element.querySelector('[name="move"]').disabled = !item.available;
+
+        return element;
+      }
+
+      onClick(event) {
+        const button = event.target.closest('button');
+        const key = button?.closest('[data-key]')?.dataset.key;
+        const item = this.items?.find((saved) => saved.key === key);
+        if (!item) return;
+
+        if (button.name === 'remove') return SavedItems.remove(key);
+        if (button.name === 'move') return this.moveToCart(item, button);
+      }
+
+      moveToCart(item, button) {
+        button.setAttribute('aria-disabled', true);
+        button.classList.add('loading');
+        button.querySelector('.loading__spinner').classList.remove('hidden');
+
+        const lineItem = {
+          id: item.variantId,
+          quantity: item.quantity,
+          properties: item.properties,
+          ...(item.sellingPlan && { selling_plan: item.sellingPlan }),
+        };
+
+        const context = { source: 'saved-items', productVariantId: item.variantId, errorTarget: false };
+        return CartStore.add({ items: [lineItem] }, context)
+          .then((response) => {
+            if (response.status) {
+              this.status.textContent = CartError.fromResponse(response).message;
+              return;
+            }
+            this.status.textContent = window.cartStrings.savedItemMoved.replace('[title]', item.title);
+            return SavedItems.remove(item.key);
+          })
+          .catch((e) => {
+            this.status.textContent = CartError.fromException(e).message;
+          })
+          .finally(() => {
+            button.removeAttribute('aria-disabled');
+            button.classList.remove('loading');
+            button.querySelector('.loading__spinner').classList.add('hidden');
+          });
+      }
+
+      static fetchProduct(handle) {
+        if (!CartSavedItems.products.has(handle)) {
+          const request = fetch(`${window.Shopify?.routes?.root || '/'}products/${handle}.js`).then((response) =>
+            response.ok ? response.json() : null
+          );
+          request.catch(() => CartSavedItems.products.delete(handle));
+          CartSavedItems.products.set(handle, request);
+        }
+        return CartSavedItems.products.get(handle);
+      }
+    }
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * The public JavaScript API of the theme, for apps and custom sections. Everything else in the theme's scripts is
+ * internal and can change between releases, `window.theme` only changes with its `version`:
+ * - `cart.add(items, { behavior })` adds `{ id, quantity }`, an array of them or `{ items }`, then does what the
+ *   "After adding to cart" setting says, or `behavior` (one of CartAddBehavior.BEHAVIORS) when given
+ * - `cart.change({ id | line, quantity, properties })` changes one line, `cart.get()` fetches the cart
+ * - `drawer.open()` and `drawer.close()` show and hide the cart drawer, they return false without one
+ * - `events.on(name, callback)` and `events.off(name, callback)` follow the PUB_SUB_EVENTS names, such as
+ *   `cart-update`, or `*` and prefixes such as `cart-*`
+ * - `sections.render(ids, { url })` renders sections through the Section Rendering API and replaces them on the page
+ * - `money.format(cents, format)` formats an amount in cents with the shop's money format
+ * - `quickAdd.open(productUrl, { opener })` shows a product in the quick add modal
+ * Cart methods resolve with the updated cart and reject with a CartError, which is also shown to the buyer.
+ * `theme:ready` is dispatched on the document once `window.theme` is set:
+ *
+ *   if (window.theme) init();
+ *   else document.addEventListener('theme:ready', init, { once: true });
+ */
+const themeEventUnsubscribers = new Map();
+
+function toAddBody(items) {
+  if (Array.isArray(items)) return { items };
+  return items.items ? { items: items.items } : { items: [items] };
+}
+
+// Error responses resolve in CartStore, callers of the API get a rejection instead
+function resolveCart(response, request) {
+  if (CartError.isErrorResponse(response)) throw CartError.fromResponse(response, request);
+  return CartStore.cart;
+}
+
+function renderSections(sections) {
+  Object.entries(sections).forEach(([id, html]) => {
+    const target = document.getElementById(`shopify-section-${id}`) || document.getElementById(id);
+    const source = html && new DOMParser().parseFromString(html, 'text/html').querySelector('.shopify-section');
+    if (target && source) target.innerHTML = source.innerHTML;
+  });
+}
+
+window.theme = Object.freeze({
+  version: '1.0.0',
+
+  cart: Object.freeze({
+    add(items, { behavior: requested } = {}) {
+      const behavior = CartAddBehavior.for(null, requested);
+      const body = CartAddBehavior.prepare(behavior, toAddBody(items));
+      return CartStore.add(body, { source: 'theme-api' }).then((response) => {
+        const cart = resolveCart(response, CartStore.addRequestOf(body));
+        CartAddBehavior.apply(behavior, response);
+        return cart;
+      });
+    },
+
+    change({ line, ...change }, { sections = ['cart-icon-bubble'] } = {}) {
+      // Lines are changed by key, which still names the same line if the request is sent again
+      const key = line && CartStore.cart?.items[line - 1]?.key;
+      const body = { ...(key ? { id: key } : { line }), ...change, sections, sections_url: window.location.pathname };
+      return CartStore.change(body, { source: 'theme-api' }).then((response) => {
+        const cart = resolveCart(response);
+        if (response.sections) renderSections(response.sections);
+        return cart;
+      });
+    },
+
+    get() {
+      return CartStore.get();
+    },
+  }),
+
+  drawer: Object.freeze({
+    open() {
+      const drawer = document.querySelector('cart-drawer');
+      if (!drawer) return false;
+
+      drawer.open(document.activeElement);
+      return true;
+    },
+
+    close() {
+      const drawer = document.querySelector('cart-drawer');
+      if (!drawer) return false;
+
+      drawer.close();
+      return true;
+    },
+  }),
+
+  events: Object.freeze({
+    // Returns a function that does the same as `off`
+    on(name, callback) {
+      const unsubscribers = themeEventUnsubscribers.get(callback) || new Map();
+      if (!unsubscribers.has(name)) unsubscribers.set(name, subscribe(name, callback));
+      themeEventUnsubscribers.set(callback, unsubscribers);
+      return () => window.theme.events.off(name, callback);
+    },
+
+    off(name, callback) {
+      const unsubscribers = themeEventUnsubscribers.get(callback);
+      if (!unsubscribers?.has(name)) return;
+
+      unsubscribers.get(name)();
+      unsubscribers.delete(name);
+      if (!unsubscribers.size) themeEventUnsubscribers.delete(callback);
+    },
+  }),
+
+  sections: Object.freeze({
+    // Resolves with the HTML of each section by id, sections that aren't on the page are only returned
+    render(ids, { url = window.location.pathname + window.location.search } = {}) {
+      const sectionsUrl = new URL(url, window.location.origin);
+      sectionsUrl.searchParams.set('sections', [ids].flat().join(','));
+
+      return fetch(sectionsUrl)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Sections could not be rendered (${response.status})`);
+          return response.json();
+        })
+        .then((sections) => {
+          renderSections(sections);
+          return sections;
+        });
+    },
+  }),
+
+  money: Object.freeze({
+    format(cents, format = window.moneyFormats.money) {
+      return Shopify.formatMoney(cents, format);
+    },
+  }),
+
+  quickAdd: Object.freeze({
+    /**
+     * Any quick add modal shows any product, the first one on the page is used. Pages without one, such as pages
+     * without product cards, go to the product page instead. Focus returns to `opener` when the modal closes.
+     */
+    open(productUrl, { opener = document.activeElement } = {}) {
+      const modal = document.querySelector('quick-add-modal');
+      if (!modal) {
+        window.location = productUrl;
+        return Promise.resolve(false);
+      }
+
+      return modal.show(opener, productUrl).then(() => true);
+    },
+  }),
+});
+
+document.dispatchEvent(new CustomEvent('theme:ready', { detail: { version: window.theme.version } }));